@@ -0,0 +1,225 @@
+(function(window, $){
+
+    // Finds the beat of the card's music ahead of time, so the animation can
+    // keep to it. The track is rendered offline through a low-pass filter,
+    // leaving mostly the kick drum, and its onsets are where the energy
+    // jumps. The tempo is the lag the onsets repeat at most strongly, and the
+    // beats are that grid laid over the onsets where it fits them best. A
+    // beat map is
+    //   {tempo, beats: [s, ...], onsets: [s, ...], duration}
+    // with times in seconds from the start of the track.
+    var RATE = 22050,       // what the track is rendered at
+        CUTOFF = 200,       // Hz, the low-pass
+        HOP = 0.01,         // s, about the energy envelope's resolution
+        MIN_BPM = 70,
+        MAX_BPM = 180;
+
+    // energy over each hop of samples
+    function envelope(samples, hop) {
+        var n = Math.floor(samples.length / hop),
+            out = new Float32Array(n), sum, i, j;
+        for (i = 0; i < n; i++) {
+            sum = 0;
+            for (j = i * hop; j < (i + 1) * hop; j++) {
+                sum += samples[j] * samples[j];
+            }
+            out[i] = Math.sqrt(sum / hop);
+        }
+        return out;
+    }
+
+    // how much the energy rises at each step, falls count for nothing
+    function flux(energy) {
+        var out = new Float32Array(energy.length);
+        for (var i = 1; i < energy.length; i++) {
+            out[i] = Math.max(0, energy[i] - energy[i - 1]);
+        }
+        return out;
+    }
+
+    // Peaks standing out from their neighbourhood, at least 0.1s apart.
+    function onsets(f, step) {
+        var out = [], around = 10, gap = Math.round(0.1 / step), last = -gap, mean, k, i;
+        for (i = 1; i < f.length - 1; i++) {
+            if (f[i] <= f[i - 1] || f[i] < f[i + 1] || i - last < gap) {
+                continue;
+            }
+            mean = 0;
+            for (k = Math.max(0, i - around); k < Math.min(f.length, i + around + 1); k++) {
+                mean += f[k];
+            }
+            mean /= Math.min(f.length, i + around + 1) - Math.max(0, i - around);
+            if (f[i] > mean * 1.5 && f[i] > 0) {
+                out.push(i);
+                last = i;
+            }
+        }
+        return out;
+    }
+
+    // Per pair and about the mean, or steady noise in the flux would favour
+    // the shorter lags, which have more pairs.
+    function correlate(f, mean, lag) {
+        var sum = 0;
+        for (var i = lag; i < f.length; i++) {
+            sum += (f[i] - mean) * (f[i - lag] - mean);
+        }
+        return sum / (f.length - lag);
+    }
+
+    // The beat period in steps, fractional: the strongest autocorrelation
+    // within the tempo range, refined between its neighbours. 0 where
+    // nothing repeats, silence for one.
+    function period(f, step) {
+        var min = Math.floor(60 / MAX_BPM / step), max = Math.ceil(60 / MIN_BPM / step),
+            best = -Infinity, lag = 0, c = [], mean = 0, a, b, d, l;
+        for (l = 0; l < f.length; l++) {
+            mean += f[l] / f.length;
+        }
+        for (l = min - 1; l <= max + 1; l++) {
+            c[l] = correlate(f, mean, l);
+        }
+        for (l = min; l <= max; l++) {
+            if (c[l] > best) {
+                best = c[l];
+                lag = l;
+            }
+        }
+        if (!lag || best <= 0) {
+            return 0;
+        }
+        a = c[lag - 1];
+        b = c[lag];
+        d = c[lag + 1];
+        return lag + (a - 2 * b + d ? 0.5 * (a - d) / (a - 2 * b + d) : 0);
+    }
+
+    // A small error in the period adds up over a whole song, so the grid is
+    // fitted again (least squares) to the strongest onset near each beat.
+    // Beats with no onset near them (a break, a fill) are left out of the
+    // fit rather than pulling it towards noise.
+    function refine(f, peaks, phase, p) {
+        var reach = Math.max(1, Math.round(p / 6)), n = 0, sk = 0, st = 0, skk = 0, skt = 0,
+            k = 0, j = 0, t, at, slope, i;
+        for (t = phase; t < f.length; t += p, k++) {
+            while (j < peaks.length && peaks[j] < t - reach) {
+                j++;
+            }
+            at = -1;
+            for (i = j; i < peaks.length && peaks[i] <= t + reach; i++) {
+                if (at < 0 || f[peaks[i]] > f[at]) {
+                    at = peaks[i];
+                }
+            }
+            if (at < 0) {
+                continue;
+            }
+            n++;
+            sk += k;
+            st += at;
+            skk += k * k;
+            skt += k * at;
+        }
+        // too few onsets to draw a line through (silence, a long break)
+        if (n < 2) {
+            return { phase: phase, period: p };
+        }
+        slope = (n * skt - sk * st) / (n * skk - sk * sk);
+        if (!(Math.abs(slope - p) < p / 10)) {
+            return { phase: phase, period: p };
+        }
+        return { phase: (st - slope * sk) / n, period: slope };
+    }
+
+    // Beat map of mono samples at rate Hz.
+    function detect(samples, rate) {
+        var hop = Math.round(rate * HOP), step = hop / rate,
+            f = flux(envelope(samples, hop)), p = period(f, step), peaks = onsets(f, step),
+            duration = f.length * step, times = [], beats = [], best = -1, phase = 0,
+            fit, score, t, i;
+        if (!p) {
+            return { tempo: 0, beats: [], onsets: [], duration: duration };
+        }
+        // the offset that puts the most energy on the grid, a frame either
+        // side counts as the period is not exact yet
+        for (var o = 0; o < p; o++) {
+            score = 0;
+            for (t = o; t < f.length; t += p) {
+                i = Math.round(t);
+                score += Math.max(f[i - 1] || 0, f[i] || 0, f[i + 1] || 0);
+            }
+            if (score > best) {
+                best = score;
+                phase = o;
+            }
+        }
+        // each pass lines up more beats with their onsets
+        fit = { phase: phase, period: p };
+        for (i = 0; i < 3; i++) {
+            fit = refine(f, peaks, fit.phase, fit.period);
+        }
+        for (t = fit.phase; t < f.length; t += fit.period) {
+            beats.push(t * step);
+        }
+        for (i = 0; i < peaks.length; i++) {
+            times.push(peaks[i] * step);
+        }
+        // no onsets at all is no beat, whatever the period came out as
+        if (!peaks.length) {
+            beats = [];
+        }
+        return {
+            tempo: beats.length ? 60 / (fit.period * step) : 0,
+            beats: beats,
+            onsets: times,
+            duration: duration
+        };
+    }
+
+    // Resolves with the beat map of the audio at url, rejects where there
+    // is no Web Audio or the track cannot be fetched or decoded.
+    function analyze(url) {
+        var deferred = $.Deferred(), xhr,
+            Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!Offline || !url) {
+            return deferred.reject().promise();
+        }
+        xhr = new XMLHttpRequest();
+        xhr.open("GET", url);
+        xhr.responseType = "arraybuffer";
+        xhr.onload = function() {
+            if (xhr.status && xhr.status != 200) {
+                deferred.reject();
+                return;
+            }
+            // the callback form, older Safari has no promise
+            new Offline(1, 1, RATE).decodeAudioData(xhr.response, function(buffer) {
+                var ctx = new Offline(1, Math.ceil(buffer.duration * RATE), RATE),
+                    source = ctx.createBufferSource(), filter = ctx.createBiquadFilter();
+                source.buffer = buffer;
+                filter.type = "lowpass";
+                filter.frequency.value = CUTOFF;
+                source.connect(filter);
+                filter.connect(ctx.destination);
+                ctx.oncomplete = function(e) {
+                    deferred.resolve(detect(e.renderedBuffer.getChannelData(0), RATE));
+                };
+                source.start(0);
+                ctx.startRendering();
+            }, function() {
+                deferred.reject();
+            });
+        };
+        xhr.onerror = function() {
+            deferred.reject();
+        };
+        xhr.send();
+        return deferred.promise();
+    }
+
+    window.Beats = {
+        detect: detect,
+        analyze: analyze
+    };
+
+})(window, jQuery);
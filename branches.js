@@ -0,0 +1,225 @@
+(function(exports){
+
+    // The branches Tree.addBranchs takes. Each is a quadratic bezier with
+    // its radius at the base, its length in growth steps and the branches
+    // that sprout from its tip once it is grown, written either as
+    //   {from: [x, y], control: [x, y], to: [x, y], radius, length, children}
+    // (points may also be {x, y}, length defaults to 100) or the older
+    //   [x1, y1, x2, y2, x3, y3, radius, length, children]
+    // Both can be mixed in one tree.
+    var fields = ["from", "control", "to", "radius", "length", "children"];
+    var names = ["x1", "y1", "x2", "y2", "x3", "y3", "radius", "length", "children"];
+
+    function isArray(o) {
+        return Object.prototype.toString.call(o) === "[object Array]";
+    }
+
+    function isNumber(o) {
+        return typeof o === "number" && isFinite(o);
+    }
+
+    function point(p) {
+        return isArray(p) ? { x: p[0], y: p[1] } : { x: p.x, y: p.y };
+    }
+
+    // either form -> {from, control, to, radius, length, children} with
+    // {x, y} points
+    function parts(b) {
+        if (isArray(b)) {
+            return {
+                from: { x: b[0], y: b[1] },
+                control: { x: b[2], y: b[3] },
+                to: { x: b[4], y: b[5] },
+                radius: b[6],
+                length: b[7],
+                children: b[8] || []
+            };
+        }
+        return {
+            from: point(b.from),
+            control: point(b.control),
+            to: point(b.to),
+            radius: b.radius,
+            length: b.length,
+            children: b.children || []
+        };
+    }
+
+    function checkPoint(p, path, errors) {
+        if (isArray(p)) {
+            if (p.length != 2 || !isNumber(p[0]) || !isNumber(p[1])) {
+                errors.push(path + ": expected [x, y]");
+            }
+        } else if (!p || typeof p !== "object" || !isNumber(p.x) || !isNumber(p.y)) {
+            errors.push(path + ": expected [x, y] or {x, y}");
+        }
+    }
+
+    // Every problem in a list of branches, each naming where it is, e.g.
+    // 'branch[0].children[2].radius: expected a positive number'. An empty
+    // list means the branches are fine.
+    function validate(branchs, path) {
+        var errors = [], b, at, i, j, k;
+        path = path || "branch";
+        if (!isArray(branchs)) {
+            return [path + ": expected a list of branches"];
+        }
+        for (i = 0; i < branchs.length; i++) {
+            b = branchs[i];
+            at = path + "[" + i + "]";
+            if (isArray(b)) {
+                if (b.length < 8 || b.length > 9) {
+                    errors.push(at + ": expected 8 or 9 values [x1, y1, x2, y2, x3, y3, radius, length, children], got " + b.length);
+                    continue;
+                }
+                for (j = 0; j < 6; j++) {
+                    if (!isNumber(b[j])) {
+                        errors.push(at + "[" + j + "] (" + names[j] + "): expected a number");
+                    }
+                }
+                if (!isNumber(b[6]) || b[6] <= 0) {
+                    errors.push(at + "[6] (radius): expected a positive number");
+                }
+                if (!isNumber(b[7]) || b[7] <= 0) {
+                    errors.push(at + "[7] (length): expected a positive number");
+                }
+                if (b.length == 9) {
+                    errors = errors.concat(validate(b[8], at + "[8]"));
+                }
+            } else if (b && typeof b === "object") {
+                for (k in b) {
+                    if (b.hasOwnProperty(k) && fields.indexOf(k) < 0) {
+                        errors.push(at + "." + k + ": unknown field, expected one of " + fields.join(", "));
+                    }
+                }
+                checkPoint(b.from, at + ".from", errors);
+                checkPoint(b.control, at + ".control", errors);
+                checkPoint(b.to, at + ".to", errors);
+                if (!isNumber(b.radius) || b.radius <= 0) {
+                    errors.push(at + ".radius: expected a positive number");
+                }
+                if (b.length !== undefined && (!isNumber(b.length) || b.length <= 0)) {
+                    errors.push(at + ".length: expected a positive number");
+                }
+                if (b.children !== undefined) {
+                    errors = errors.concat(validate(b.children, at + ".children"));
+                }
+            } else {
+                errors.push(at + ": expected a branch object or array");
+            }
+        }
+        return errors;
+    }
+
+    // Rewrites branches, legacy arrays included, in the object form.
+    function convert(branchs) {
+        var out = [], b, o;
+        for (var i = 0; i < branchs.length; i++) {
+            b = parts(branchs[i]);
+            o = {
+                from: [b.from.x, b.from.y],
+                control: [b.control.x, b.control.y],
+                to: [b.to.x, b.to.y],
+                radius: b.radius,
+                length: b.length
+            };
+            if (b.children.length) {
+                o.children = convert(b.children);
+            }
+            out.push(o);
+        }
+        return out;
+    }
+
+    // Grows branches instead of having them written out, so a card does not
+    // need hand-fitted numbers. The trunk stands at x on the bottom edge and
+    // everything is measured against the canvas, so the tree fits any size.
+    var defaults = {
+        height: 0.7,       // how far up the trunk reaches, of the canvas height
+        spread: 45,        // degrees a branch turns away from its parent, at most
+        depth: 3,          // levels of branches above the trunk
+        children: 4,       // branches off the trunk, one fewer each level up
+        curvature: 0.25,   // how far a branch bends, of its length
+        radius: 30         // of the trunk at the ground
+    };
+
+    // The branch count multiplies level by level, past these a pasted card
+    // would grow a tree that locks up the page. Larger values are capped.
+    var limits = {
+        depth: 8,
+        children: 5
+    };
+
+    function between(rand, min, max) {
+        return min + rand() * (max - min);
+    }
+
+    function round(n) {
+        return Math.round(n);
+    }
+
+    // rand is a function() -> [0, 1), the same one gives the same tree.
+    function generate(params, x, width, height, rand) {
+        var p = {}, k;
+        for (k in defaults) {
+            p[k] = params && params[k] !== undefined ? params[k] : defaults[k];
+        }
+        p.depth = Math.min(p.depth, limits.depth);
+        p.children = Math.min(p.children, limits.children);
+
+        function branch(x1, y1, angle, length, radius, level) {
+            var a = angle * Math.PI / 180, dx = Math.cos(a), dy = Math.sin(a);
+            // cut short rather than run off the canvas
+            length = Math.min(length, (y1 - 20) / -dy,
+                dx < 0 ? (x1 - 20) / -dx : dx > 0 ? (width - 20 - x1) / dx : length);
+            length = Math.max(length, 0);
+            // the trunk bends half as much as its branches
+            var bend = between(rand, -1, 1) * p.curvature * length * (level ? 1 : 0.5);
+            var x3 = x1 + dx * length, y3 = y1 + dy * length;
+            var x2 = (x1 + x3) / 2 - Math.sin(a) * bend,
+                y2 = (y1 + y3) / 2 + Math.cos(a) * bend;
+            var steps = round(Math.max(30, Math.min(100, length / 4)));
+            var out = {
+                from: [round(x1), round(y1)],
+                control: [round(x2), round(y2)],
+                to: [round(x3), round(y3)],
+                radius: Math.max(1, round(radius)),
+                length: steps
+            };
+
+            if (level < p.depth && radius > 1) {
+                var n = Math.max(1, p.children - level), kids = [], side = rand() < 0.5 ? -1 : 1;
+                var t, u, bx, by, r, turn;
+                for (var i = 0; i < n; i++) {
+                    // spaced along the upper part of the parent, alternating sides
+                    t = 0.35 + 0.6 * (i + between(rand, 0.2, 0.8)) / n;
+                    u = 1 - t;
+                    bx = u * u * x1 + 2 * u * t * x2 + t * t * x3;
+                    by = u * u * y1 + 2 * u * t * y2 + t * t * y3;
+                    // Branch thins by 3% a step, a child starts a little
+                    // thicker than the parent is where it forks off
+                    r = Math.min(radius * 0.5, radius * Math.pow(0.97, t * steps) * 1.5);
+                    side = -side;
+                    turn = angle + side * between(rand, 0.5, 1) * p.spread;
+                    // never pointing down
+                    turn = Math.max(-170, Math.min(-10, turn));
+                    kids.push(branch(bx, by, turn, length * between(rand, 0.4, 0.6), r, level + 1));
+                }
+                out.children = kids;
+            }
+            return out;
+        }
+
+        return [branch(x, height, -90 + between(rand, -4, 4), p.height * height, p.radius, 0)];
+    }
+
+    exports.Branches = {
+        defaults: defaults,
+        limits: limits,
+        parts: parts,
+        validate: validate,
+        convert: convert,
+        generate: generate
+    };
+
+})(typeof module !== "undefined" && module.exports ? module.exports : window);
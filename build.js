@@ -0,0 +1,117 @@
+// Builds a card for sharing: the finished tree as preview.png and an
+// index.html with the card inlined, its own <title> and the Open Graph tags
+// chat apps read for a link preview.
+//
+//   node build.js [card.json] [out] [url]
+//
+// out defaults to dist. url is where the page will be served from, link
+// previews need an absolute og:image. Drawing needs node-canvas
+// (npm install canvas).
+var fs = require("fs");
+var path = require("path");
+var Canvas = require("canvas");
+var Card = require("./card.js").Card;
+var Tree = require("./love.js").Tree;
+
+var WIDTH = 1100, HEIGHT = 680;
+
+function escapeHtml(str) {
+    return Card.escapeHtml(String(str));
+}
+
+// never rejects, an image that is missing is left out
+function load(src) {
+    return Canvas.loadImage(src).then(null, function() {
+        return null;
+    });
+}
+
+// The page's last frame: the background as the stylesheet covers the body
+// with it, the tree moved aside as the page moves it.
+function render(card, background, canopy) {
+    var canvas = Canvas.createCanvas(WIDTH, HEIGHT), ctx = canvas.getContext("2d"),
+        layer = Canvas.createCanvas(WIDTH, HEIGHT),
+        opts = Card.treeOptions(card, WIDTH), tree, scale;
+    opts.bloom = Object.assign({}, opts.bloom, { canopy: canopy });
+    opts.ratio = 1;
+    opts.createCanvas = Canvas.createCanvas;
+    tree = new Tree(layer.getContext("2d"), WIDTH, HEIGHT, opts);
+    tree.finish(260, 0);
+
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+    if (background) {
+        scale = Math.max(WIDTH / background.width, HEIGHT / background.height);
+        ctx.drawImage(background, (WIDTH - background.width * scale) / 2, (HEIGHT - background.height * scale) / 2,
+            background.width * scale, background.height * scale);
+    }
+    ctx.drawImage(layer, 0, 0);
+    return canvas.toBuffer("image/png");
+}
+
+function meta(card, url) {
+    var image = url ? url.replace(/\/?$/, "/") + "preview.png" : "preview.png",
+        tags = [
+            ["og:type", "website"],
+            ["og:title", Card.title(card)],
+            ["og:description", Card.description(card)],
+            ["og:image", image],
+            ["og:image:width", WIDTH],
+            ["og:image:height", HEIGHT]
+        ], out = [];
+    if (url) {
+        tags.push(["og:url", url]);
+    }
+    for (var i = 0; i < tags.length; i++) {
+        out.push('<meta property="' + tags[i][0] + '" content="' + escapeHtml(tags[i][1]) + '">');
+    }
+    out.push('<meta name="twitter:card" content="summary_large_image">');
+    out.push('<meta name="description" content="' + escapeHtml(Card.description(card)) + '">');
+    return out;
+}
+
+// index.html with the card's title and tags, and the card itself inline
+// so the page shows the card the preview was drawn from.
+function page(template, config, card, url) {
+    var head = ["<title>" + escapeHtml(Card.title(card)) + "</title>"].concat(meta(card, url)),
+        inline = '<script type="application/json" id="card-config">' +
+            JSON.stringify(config).replace(/</g, "\\u003c") + "</script>";
+    // replaced through functions, "$&" and the like in the card are text
+    return template
+        .replace(/<title>[^<]*<\/title>/, function() {
+            return head.join("\n    ");
+        })
+        .replace(/<body>/, function() {
+            return "<body>\n    " + inline;
+        });
+}
+
+function build(file, out, url) {
+    var config, card, canopy, template;
+    return Promise.resolve().then(function() {
+        config = JSON.parse(fs.readFileSync(file, "utf8"));
+        card = Card.normalize(config);
+        canopy = card.tree.bloom.canopy;
+        template = fs.readFileSync(path.join(__dirname, "index.html"), "utf8");
+        return Promise.all([
+            load(path.join(__dirname, "img2.png")),
+            canopy && typeof canopy.image === "string" ? load(path.resolve(__dirname, canopy.image)) : null
+        ]);
+    }).then(function(images) {
+        if (canopy && typeof canopy.image === "string") {
+            canopy = images[1] ? Object.assign({}, canopy, { image: images[1] }) : null;
+        }
+        fs.mkdirSync(out, { recursive: true });
+        fs.writeFileSync(path.join(out, "preview.png"), render(card, images[0], canopy));
+        fs.writeFileSync(path.join(out, "index.html"), page(template, config, card, url));
+        if (!url) {
+            console.warn("no url given, og:image is relative and most link previews will skip it");
+        }
+    });
+}
+
+build(process.argv[2] || path.join(__dirname, "card.json"), process.argv[3] || "dist", process.argv[4])
+    .then(null, function(e) {
+        console.error(e.message);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,172 @@
+(function(exports, $){
+
+    // Where in the bloom area (opt.bloom.width x height) blooms may open.
+    // A canopy can be the classic heart, a circle, any function(x, y) ->
+    // bool, a line of text such as a name or an age, or the opaque part of an
+    // image. Whatever the kind, it is reduced once to the list of grid cells
+    // it covers, placing a bloom is then picking a cell and a spot in it
+    // rather than throwing darts until one lands inside.
+    var CELL = 4, MARGIN = 20, ATTEMPTS = 8;
+
+    function inheart(x, y, r) {
+
+        var z = ((x / r) * (x / r) + (y / r) * (y / r) - 1) * ((x / r) * (x / r) + (y / r) * (y / r) - 1) * ((x / r) * (x / r) + (y / r) * (y / r) - 1) - (x / r) * (x / r) * (y / r) * (y / r) * (y / r);
+        return z < 0;
+    }
+
+    // cells holds the top left corner of every cell inside, x and y
+    // interleaved. With contains a spot is checked against the exact
+    // outline, the cells along the edge are only partly inside.
+    function Mask(cells, contains) {
+        this.cells = cells;
+        this.length = cells.length / 2;
+        this.contains = contains;
+    }
+    Mask.prototype = {
+        // A random spot inside, random(min, max) is the tree's own
+        // generator so a seeded tree places its blooms the same way.
+        sample: function(random) {
+            var k = random(0, this.length - 1) * 2, x, y;
+            var cx = this.cells[k], cy = this.cells[k + 1];
+            for (var i = 0; i < ATTEMPTS; i++) {
+                x = cx + random(0, CELL - 1);
+                y = cy + random(0, CELL - 1);
+                if (!this.contains || this.contains(x, y)) {
+                    return { x: x, y: y };
+                }
+            }
+            // the middle of a cell is always inside
+            return { x: cx + CELL / 2, y: cy + CELL / 2 };
+        }
+    }
+
+    function implicit(width, height, contains) {
+        var cells = [];
+        for (var y = MARGIN; y + CELL <= height - MARGIN; y += CELL) {
+            for (var x = MARGIN; x + CELL <= width - MARGIN; x += CELL) {
+                if (contains(x + CELL / 2, y + CELL / 2)) {
+                    cells.push(x, y);
+                }
+            }
+        }
+        return new Mask(cells, contains);
+    }
+
+    function heart(width, height, radius) {
+        return implicit(width, height, function(x, y) {
+            return inheart(x - width / 2, height - (height - 40) / 2 - y, radius);
+        });
+    }
+
+    function circle(width, height) {
+        var r = Math.min(width, height) / 2 - MARGIN;
+        return implicit(width, height, function(x, y) {
+            var dx = x - width / 2, dy = y - height / 2;
+            return dx * dx + dy * dy < r * r;
+        });
+    }
+
+    // A canvas with one pixel per cell, what gets drawn on it is the mask.
+    // scratch(width, height) makes a canvas, a page and Node differ there.
+    function grid(scratch, width, height) {
+        return scratch(Math.floor(width / CELL), Math.floor(height / CELL));
+    }
+
+    function opaque(canvas) {
+        var data = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data,
+            cells = [];
+        for (var y = 0; y < canvas.height; y++) {
+            for (var x = 0; x < canvas.width; x++) {
+                if (data[(y * canvas.width + x) * 4 + 3] >= 128) {
+                    cells.push(x * CELL, y * CELL);
+                }
+            }
+        }
+        return new Mask(cells);
+    }
+
+    // The text as large as fits, bold so the strokes are wide enough to
+    // hold blooms.
+    function text(scratch, width, height, str, font) {
+        var canvas = grid(scratch, width, height), ctx = canvas.getContext('2d'),
+            margin = MARGIN / CELL,
+            w = canvas.width - 2 * margin, h = canvas.height - 2 * margin,
+            family = font || 'sans-serif', size;
+        ctx.font = 'bold 100px ' + family;
+        size = Math.floor(Math.min(100 * w / (ctx.measureText(str).width || 1), h));
+        ctx.font = 'bold ' + size + 'px ' + family;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#000';
+        ctx.fillText(str, canvas.width / 2, canvas.height / 2);
+        return opaque(canvas);
+    }
+
+    // The image scaled to fit and centred, its opaque pixels are the
+    // canopy. It has to be loaded already (see load) and come from the same
+    // origin, a tainted canvas cannot be read.
+    function image(scratch, width, height, img) {
+        var canvas = grid(scratch, width, height), ctx = canvas.getContext('2d'),
+            margin = MARGIN / CELL,
+            w = canvas.width - 2 * margin, h = canvas.height - 2 * margin,
+            scale = Math.min(w / img.width, h / img.height);
+        ctx.drawImage(img, (canvas.width - img.width * scale) / 2, (canvas.height - img.height * scale) / 2,
+            img.width * scale, img.height * scale);
+        return opaque(canvas);
+    }
+
+    // The mask for opt.bloom.canopy: a mask itself, a function(x, y), "heart",
+    // "circle", {text, font} or {image} with a loaded image. Anything
+    // unknown, unloaded or that covers nothing is the heart.
+    function create(config, scratch, width, height) {
+        var mask = null;
+        if (config && typeof config.sample === 'function') {
+            return config;
+        }
+        try {
+            if (typeof config === 'function') {
+                mask = implicit(width, height, config);
+            } else if (config === 'circle') {
+                mask = circle(width, height);
+            } else if (config && typeof config.text === 'string') {
+                mask = text(scratch, width, height, config.text, config.font);
+            } else if (config && config.image && typeof config.image !== 'string' && config.image.width) {
+                mask = image(scratch, width, height, config.image);
+            }
+        } catch (e) {
+            mask = null;
+        }
+        return mask && mask.length ? mask : heart(width, height, 240);
+    }
+
+    // Resolves with config, an {image: url} canopy swapped for one holding
+    // the loaded image. Never rejects, an image that fails to load leaves
+    // the heart. Only in a page, Node has no Image to load into.
+    function load(config) {
+        var deferred = $.Deferred(), img;
+        if (!config || typeof config.image !== 'string') {
+            return deferred.resolve(config).promise();
+        }
+        img = new Image();
+        img.onload = function() {
+            deferred.resolve($.extend({}, config, { image: img }));
+        };
+        img.onerror = function() {
+            deferred.resolve(null);
+        };
+        img.src = config.image;
+        return deferred.promise();
+    }
+
+    exports.Canopy = {
+        create: create,
+        load: load,
+        heart: heart,
+        circle: circle,
+        implicit: implicit,
+        text: text,
+        image: image
+    };
+
+})(typeof module !== "undefined" && module.exports ? module.exports : window,
+   typeof jQuery !== "undefined" ? jQuery : null);
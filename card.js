@@ -0,0 +1,518 @@
+(function(exports, $, node){
+
+    // Globals in a page, their modules in Node, where a card can be read
+    // and checked (the build does) but not loaded from a page.
+    var Duration = node ? require("./duration.js").Duration : exports.Duration,
+        Branches = node ? require("./branches.js").Branches : exports.Branches;
+
+    // Everything that changes from one birthday to the next lives here. A card
+    // can override any of it, sources are tried in this order:
+    //   1. ?card=<base64 json> or #card=<base64 json> in the page URL
+    //   2. <script type="application/json" id="card-config"> inside the page
+    //   3. card.json next to index.html
+    // Missing or invalid fields fall back to these defaults.
+    var defaults = {
+        recipient: "Boushonaaaaa",
+        lines: [
+            "My beautiful {name} 💞",
+            "Happy Birthday 🎈",
+            "May God Bless Youuuu In Mvery Momement 🍀",
+            "And give u many happiness And Achieves Your Goals 💕",
+            "I loved youuuu sooo muchhh ❤️",
+            "And I will always love uuuu 🥺 ❤️",
+            "Hope u have a great day today ❤️😘"
+        ],
+        caption: ["Click Me:) ", "Birthday Queen !"],
+        message: null,
+        date: null,
+        clock: "elapsed",
+        timeZone: null,
+        audio: "aud.mp3",
+        // an .lrc or .vtt file of the song's words, shown in time with it
+        lyrics: null,
+        // once through or over and over, fading in and out over fade ms
+        // when the card pauses and resumes; sync times the blooms and
+        // petals to the track's beat
+        music: {
+            loop: false,
+            fade: 1000,
+            sync: true
+        },
+        // seeds every random choice the tree makes, the same value grows
+        // the same tree on every load, null picks a new one each time
+        randomSeed: null,
+        tree: {
+            seed: {
+                color: "#FFC0CB",
+                scale: 2
+            },
+            trunk: {
+                color: "#FFC0CB"
+            },
+            // the classic tree, {} or generator parameters grow a new one
+            // (see branches.js)
+            branch: [
+                { from: [535, 680], control: [570, 250], to: [500, 200], radius: 30, length: 100, children: [
+                    { from: [540, 500], control: [455, 417], to: [340, 400], radius: 13, length: 100, children: [
+                        { from: [450, 435], control: [434, 430], to: [394, 395], radius: 2, length: 40 }
+                    ] },
+                    { from: [550, 445], control: [600, 356], to: [680, 345], radius: 12, length: 100, children: [
+                        { from: [578, 400], control: [648, 409], to: [661, 426], radius: 3, length: 80 }
+                    ] },
+                    { from: [539, 281], control: [537, 248], to: [534, 217], radius: 3, length: 40 },
+                    { from: [546, 397], control: [413, 247], to: [328, 244], radius: 9, length: 80, children: [
+                        { from: [427, 286], control: [383, 253], to: [371, 205], radius: 2, length: 40 },
+                        { from: [498, 345], control: [435, 315], to: [395, 330], radius: 4, length: 60 }
+                    ] },
+                    { from: [546, 357], control: [608, 252], to: [678, 221], radius: 6, length: 100, children: [
+                        { from: [590, 293], control: [646, 277], to: [648, 271], radius: 2, length: 80 }
+                    ] }
+                ] }
+            ],
+            bloom: {
+                color: null,
+                // {name: weight}, null is all hearts
+                shapes: null,
+                // null is the heart, see canopy.js
+                canopy: null,
+                num: 700,
+                width: 1080,
+                height: 650
+            },
+            footer: {
+                width: 1200,
+                height: 5,
+                speed: 10
+            },
+            petal: {
+                max: 20,
+                rate: 3,
+                wind: -200,
+                duration: 0
+            }
+        }
+    };
+
+    function warn(msg) {
+        if (typeof console !== "undefined" && console.warn) {
+            console.warn("[card] " + msg);
+        }
+    }
+
+    function isPlainObject(o) {
+        return !!o && Object.prototype.toString.call(o) === "[object Object]";
+    }
+
+    function isArray(o) {
+        return Object.prototype.toString.call(o) === "[object Array]";
+    }
+
+    function isString(o) {
+        return typeof o === "string";
+    }
+
+    function isNumber(o) {
+        return typeof o === "number" && isFinite(o);
+    }
+
+    function isBoolean(o) {
+        return typeof o === "boolean";
+    }
+
+    function isPositive(o) {
+        return isNumber(o) && o > 0;
+    }
+
+    function isCount(o) {
+        return isNumber(o) && o >= 0;
+    }
+
+    function isDate(o) {
+        return o === null || (isString(o) && !isNaN(Date.parse(o)));
+    }
+
+    function isColor(o) {
+        return o === null || isString(o);
+    }
+
+    function isMessage(o) {
+        return o === null || isString(o);
+    }
+
+    function isFile(o) {
+        return o === null || isString(o);
+    }
+
+    function isZone(o) {
+        return o === null || (isString(o) && Duration.isTimeZone(o));
+    }
+
+    function isSeed(o) {
+        return o === null || isString(o) || (isNumber(o) && o === Math.floor(o));
+    }
+
+    function isWeights(o) {
+        if (o === null) {
+            return true;
+        }
+        if (!isPlainObject(o)) {
+            return false;
+        }
+        for (var k in o) {
+            if (o.hasOwnProperty(k) && !isCount(o[k])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    function isCanopy(o) {
+        return o === null || o === "heart" || o === "circle" ||
+            (isPlainObject(o) && (isString(o.text) || isString(o.image)));
+    }
+
+    // a generated tree's size, kept to what a page can draw
+    function isDepth(o) {
+        return isCount(o) && o <= Branches.limits.depth;
+    }
+
+    function isChildren(o) {
+        return isPositive(o) && o <= Branches.limits.children;
+    }
+
+    // generator parameters, or branches checked in detail by branches.js
+    function isBranch(o) {
+        return isPlainObject(o) || Branches.validate(o, "tree.branch");
+    }
+
+    // a line is its text, or {text, speed, pause, draft, hold} to time it
+    // (see $.typewriter)
+    function isLine(o) {
+        if (isString(o)) {
+            return true;
+        }
+        return isPlainObject(o) && isString(o.text) &&
+            (o.speed === undefined || isPositive(o.speed)) &&
+            (o.pause === undefined || isCount(o.pause)) &&
+            (o.draft === undefined || isString(o.draft)) &&
+            (o.hold === undefined || isCount(o.hold));
+    }
+
+    function isLines(o) {
+        if (!isArray(o)) {
+            return false;
+        }
+        for (var i = 0; i < o.length; i++) {
+            if (!isLine(o[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    function isClock(o) {
+        return o === "elapsed" || o === "countdown";
+    }
+
+    function isStrings(o) {
+        if (!isArray(o)) {
+            return false;
+        }
+        for (var i = 0; i < o.length; i++) {
+            if (!isString(o[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Arrays replace rather than merge, a card with three lines should not
+    // inherit the last four default ones.
+    function merge(target, source) {
+        var out = {}, k;
+        for (k in target) {
+            if (target.hasOwnProperty(k)) {
+                out[k] = target[k];
+            }
+        }
+        for (k in source) {
+            if (!source.hasOwnProperty(k)) {
+                continue;
+            }
+            if (isPlainObject(out[k]) && isPlainObject(source[k])) {
+                out[k] = merge(out[k], source[k]);
+            } else {
+                out[k] = source[k];
+            }
+        }
+        return out;
+    }
+
+    // path -> check, paths not listed here are passed through untouched. A
+    // check returns whether the value is fine, or a list of the problems
+    // it found.
+    var rules = {
+        "recipient": isString,
+        "lines": isLines,
+        "caption": isStrings,
+        "message": isMessage,
+        "date": isDate,
+        "clock": isClock,
+        "timeZone": isZone,
+        "audio": isString,
+        "lyrics": isFile,
+        "music": isPlainObject,
+        "music.loop": isBoolean,
+        "music.fade": isCount,
+        "music.sync": isBoolean,
+        "randomSeed": isSeed,
+        "tree": isPlainObject,
+        "tree.seed": isPlainObject,
+        "tree.seed.x": isNumber,
+        "tree.seed.y": isNumber,
+        "tree.seed.color": isString,
+        "tree.seed.scale": isPositive,
+        "tree.trunk": isPlainObject,
+        "tree.trunk.color": isString,
+        "tree.branch": isBranch,
+        "tree.branch.height": isPositive,
+        "tree.branch.spread": isCount,
+        "tree.branch.depth": isDepth,
+        "tree.branch.children": isChildren,
+        "tree.branch.curvature": isCount,
+        "tree.branch.radius": isPositive,
+        "tree.branch.seed": isSeed,
+        "tree.bloom": isPlainObject,
+        "tree.bloom.color": isColor,
+        "tree.bloom.shapes": isWeights,
+        "tree.bloom.canopy": isCanopy,
+        "tree.bloom.canopy.text": isString,
+        "tree.bloom.canopy.font": isString,
+        "tree.bloom.canopy.image": isString,
+        "tree.bloom.num": isPositive,
+        "tree.bloom.width": isPositive,
+        "tree.bloom.height": isPositive,
+        "tree.footer": isPlainObject,
+        "tree.footer.width": isPositive,
+        "tree.footer.height": isPositive,
+        "tree.footer.speed": isPositive,
+        "tree.petal": isPlainObject,
+        "tree.petal.max": isCount,
+        "tree.petal.rate": isPositive,
+        "tree.petal.wind": isNumber,
+        "tree.petal.duration": isCount
+    };
+
+    // Drops every field that fails its rule so the default shows through,
+    // returns the list of problems found.
+    function validate(config, prefix) {
+        var errors = [], path, check, k;
+        if (!isPlainObject(config)) {
+            return ["card config must be an object"];
+        }
+        for (k in config) {
+            if (!config.hasOwnProperty(k)) {
+                continue;
+            }
+            path = prefix ? prefix + "." + k : k;
+            check = rules[path] ? rules[path](config[k]) : true;
+            if (!check) {
+                errors.push("invalid value for \"" + path + "\"");
+                delete config[k];
+            } else if (isArray(check) && check.length) {
+                errors = errors.concat(check);
+                delete config[k];
+            } else if (isPlainObject(config[k])) {
+                errors = errors.concat(validate(config[k], path));
+            }
+        }
+        return errors;
+    }
+
+    function normalize(config) {
+        var copy = config ? JSON.parse(JSON.stringify(config)) : {};
+        if (isPlainObject(copy) && isString(copy.caption)) {
+            copy.caption = [copy.caption];
+        }
+        var errors = validate(copy);
+        for (var i = 0; i < errors.length; i++) {
+            warn(errors[i]);
+        }
+        return merge(defaults, isPlainObject(copy) ? copy : {});
+    }
+
+    // base64 of the UTF-8 bytes, accepting the url-safe alphabet as well,
+    // so names and emoji survive the trip through a link.
+    function decode(str) {
+        str = str.replace(/-/g, "+").replace(/_/g, "/");
+        while (str.length % 4) {
+            str += "=";
+        }
+        return JSON.parse(decodeURIComponent(escape(atob(str))));
+    }
+
+    function encode(config) {
+        return btoa(unescape(encodeURIComponent(JSON.stringify(config))))
+            .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    }
+
+    function fromLocation(location) {
+        var re = /(?:^|[?&#])card=([^&#]*)/,
+            m = re.exec(location.search) || re.exec(location.hash);
+        if (!m) {
+            return null;
+        }
+        try {
+            return decode(decodeURIComponent(m[1]));
+        } catch (e) {
+            warn("could not decode card from url: " + e.message);
+            return null;
+        }
+    }
+
+    // ?seed= or #seed= overrides the card's randomSeed, digits are read as a
+    // number so a link agrees with a card.json holding the same value.
+    function seedFromLocation(location) {
+        var re = /(?:^|[?&#])seed=([^&#]*)/,
+            m = re.exec(location.search) || re.exec(location.hash);
+        if (!m) {
+            return undefined;
+        }
+        var seed = decodeURIComponent(m[1]);
+        return /^\d+$/.test(seed) ? parseInt(seed, 10) : seed;
+    }
+
+    function fromInline(document) {
+        var el = document.getElementById("card-config");
+        if (!el) {
+            return null;
+        }
+        try {
+            return $.parseJSON(el.text || el.innerHTML);
+        } catch (e) {
+            warn("could not parse inline card: " + e.message);
+            return null;
+        }
+    }
+
+    function format(str, card) {
+        // a function, so "$&" in a name is not a replacement pattern
+        return str.replace(/\{name\}/g, function() {
+            return card.recipient;
+        });
+    }
+
+    function lineText(line) {
+        return isString(line) ? line : line.text;
+    }
+
+    function escapeHtml(str) {
+        return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
+
+    // What the page and a shared link are called.
+    function title(card) {
+        return "Happy Birthday, " + card.recipient + "!";
+    }
+
+    // One line about the card for link previews: who it is for and how
+    // the message starts.
+    function description(card) {
+        var first = card.lines.length ? format(lineText(card.lines[0]), card) : "";
+        return "A birthday card for " + card.recipient + (first ? ": " + first : "");
+    }
+
+    // Options for new Tree(), the seed starts a little left of the middle
+    // unless the card places it.
+    function treeOptions(card, width) {
+        var opts = merge({}, card.tree), text = [];
+        for (var i = 0; i < card.caption.length; i++) {
+            text.push(format(card.caption[i], card));
+        }
+        opts.seed = merge({
+            x: width / 2 - 20,
+            text: text
+        }, card.tree.seed);
+        opts.randomSeed = card.randomSeed;
+        return opts;
+    }
+
+    // The message lines as markup for the typewriter, escaped so a card
+    // cannot inject html into the page.
+    function linesHtml(card) {
+        var out = [];
+        for (var i = 0; i < card.lines.length; i++) {
+            out.push('<span class="say">' + escapeHtml(format(lineText(card.lines[i]), card)) + '</span><br>');
+        }
+        return out.join("\n");
+    }
+
+    // The message as a $.typewriter script, a part for every line with its
+    // own timing.
+    function script(card) {
+        var parts = [], line, part;
+        for (var i = 0; i < card.lines.length; i++) {
+            line = card.lines[i];
+            part = { html: '<span class="say">' + escapeHtml(format(lineText(line), card)) + '</span><br>' };
+            if (!isString(line)) {
+                part.speed = line.speed;
+                part.pause = line.pause;
+                part.hold = line.hold;
+                if (line.draft !== undefined) {
+                    part.draft = '<span class="say">' + escapeHtml(format(line.draft, card));
+                }
+            }
+            parts.push(part);
+        }
+        return parts;
+    }
+
+    // Resolves with a fully populated card, never rejects.
+    function load(url) {
+        var deferred = $.Deferred(),
+            config = fromLocation(location) || fromInline(document),
+            seed = seedFromLocation(location);
+        var resolve = function(config) {
+            var card = normalize(config);
+            if (seed !== undefined) {
+                card.randomSeed = seed;
+            }
+            deferred.resolve(card);
+        };
+        if (config) {
+            resolve(config);
+            return deferred.promise();
+        }
+        $.ajax({
+            url: url || "card.json",
+            dataType: "json",
+            cache: false
+        }).done(function(data) {
+            resolve(data);
+        }).fail(function() {
+            resolve(null);
+        });
+        return deferred.promise();
+    }
+
+    exports.Card = {
+        defaults: defaults,
+        load: load,
+        normalize: normalize,
+        merge: merge,
+        validate: validate,
+        encode: encode,
+        decode: decode,
+        format: format,
+        escapeHtml: escapeHtml,
+        title: title,
+        description: description,
+        treeOptions: treeOptions,
+        linesHtml: linesHtml,
+        lineText: lineText,
+        script: script
+    };
+
+})(typeof module !== "undefined" && module.exports ? module.exports : window,
+   typeof jQuery !== "undefined" ? jQuery : null,
+   typeof module !== "undefined" && !!module.exports);
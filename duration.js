@@ -0,0 +1,253 @@
+(function(exports){
+
+    // Calendar arithmetic in a named IANA time zone. Instants are epoch
+    // milliseconds, wall-clock times are {year, month, day, hour, minute,
+    // second, millisecond} with month counted from 1. Without a time zone the
+    // browser's own local time is used.
+
+    var DAY = 86400000;
+    var formatters = {};
+
+    function formatter(timeZone) {
+        if (!formatters[timeZone]) {
+            formatters[timeZone] = new Intl.DateTimeFormat("en-US", {
+                timeZone: timeZone,
+                hourCycle: "h23",
+                year: "numeric",
+                month: "numeric",
+                day: "numeric",
+                hour: "numeric",
+                minute: "numeric",
+                second: "numeric"
+            });
+        }
+        return formatters[timeZone];
+    }
+
+    function isTimeZone(timeZone) {
+        try {
+            formatter(timeZone);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // instant -> wall-clock time in timeZone
+    function wall(time, timeZone) {
+        var d = new Date(time), out = {}, parts, i;
+        if (!timeZone) {
+            return {
+                year: d.getFullYear(),
+                month: d.getMonth() + 1,
+                day: d.getDate(),
+                hour: d.getHours(),
+                minute: d.getMinutes(),
+                second: d.getSeconds(),
+                millisecond: d.getMilliseconds()
+            };
+        }
+        parts = formatter(timeZone).formatToParts(d);
+        for (i = 0; i < parts.length; i++) {
+            if (parts[i].type != "literal") {
+                out[parts[i].type] = parseInt(parts[i].value, 10);
+            }
+        }
+        return {
+            year: out.year,
+            month: out.month,
+            day: out.day,
+            hour: out.hour % 24,
+            minute: out.minute,
+            second: out.second,
+            millisecond: d.getUTCMilliseconds()
+        };
+    }
+
+    function utc(w) {
+        var d = new Date(Date.UTC(2000, w.month - 1, w.day || 1, w.hour || 0, w.minute || 0, w.second || 0, w.millisecond || 0));
+        // Date.UTC maps years below 100 onto 19xx
+        d.setUTCFullYear(w.year);
+        return d.getTime();
+    }
+
+    // wall-clock time in timeZone -> instant. A time skipped by a DST jump
+    // lands after the jump, an ambiguous one picks the earlier instant.
+    function instant(w, timeZone) {
+        if (!timeZone) {
+            var d = new Date(2000, w.month - 1, w.day || 1, w.hour || 0, w.minute || 0, w.second || 0, w.millisecond || 0);
+            d.setFullYear(w.year, w.month - 1, w.day || 1);
+            return d.getTime();
+        }
+        var local = utc(w);
+        var before = local - (utc(wall(local - DAY, timeZone)) - (local - DAY));
+        var after = local - (utc(wall(local + DAY, timeZone)) - (local + DAY));
+        var valid = [];
+        if (utc(wall(before, timeZone)) === local) {
+            valid.push(before);
+        }
+        if (utc(wall(after, timeZone)) === local) {
+            valid.push(after);
+        }
+        return valid.length ? Math.min.apply(Math, valid) : before;
+    }
+
+    var lengths = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+    function isLeap(year) {
+        return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    }
+
+    function daysInMonth(year, month) {
+        return month == 2 && isLeap(year) ? 29 : lengths[month - 1];
+    }
+
+    // Moves a wall-clock time by whole months, a day past the end of the
+    // target month is clamped to its last day (Jan 31 + 1 month is Feb 28).
+    function addMonths(w, months) {
+        var index = w.year * 12 + (w.month - 1) + months;
+        var year = Math.floor(index / 12), month = index - year * 12 + 1;
+        return {
+            year: year,
+            month: month,
+            day: Math.min(w.day, daysInMonth(year, month)),
+            hour: w.hour,
+            minute: w.minute,
+            second: w.second,
+            millisecond: w.millisecond
+        };
+    }
+
+    function addDays(w, days) {
+        var d = new Date(utc(w) + days * DAY);
+        return {
+            year: d.getUTCFullYear(),
+            month: d.getUTCMonth() + 1,
+            day: d.getUTCDate(),
+            hour: w.hour,
+            minute: w.minute,
+            second: w.second,
+            millisecond: w.millisecond
+        };
+    }
+
+    // "2010-03-14" or "2010-03-14T08:30" are read as wall-clock time in
+    // timeZone, anything carrying "Z" or an offset is an absolute instant.
+    function parse(date, timeZone) {
+        if (typeof date === "number") {
+            return date;
+        }
+        if (date instanceof Date) {
+            return date.getTime();
+        }
+        var m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/.exec(date);
+        if (!m) {
+            return Date.parse(date);
+        }
+        return instant({
+            year: +m[1],
+            month: +m[2],
+            day: +m[3],
+            hour: +(m[4] || 0),
+            minute: +(m[5] || 0),
+            second: +(m[6] || 0),
+            millisecond: +((m[7] || "0") + "00").substr(0, 3)
+        }, timeZone);
+    }
+
+    // The calendar distance from one instant to another as seen on a wall
+    // clock in timeZone. Whole years, months and days are counted on the
+    // calendar, whatever is left is real elapsed time, so a day that had a DST
+    // jump still counts as one day. largest is "years", "months" or "days"
+    // and caps the biggest unit used.
+    function between(from, to, timeZone, largest) {
+        var sign = 1, tmp;
+        if (to < from) {
+            tmp = from;
+            from = to;
+            to = tmp;
+            sign = -1;
+        }
+        var a = wall(from, timeZone), b = wall(to, timeZone);
+        var months = 0, days, anchor, rest;
+
+        if (largest != "days") {
+            months = (b.year - a.year) * 12 + (b.month - a.month);
+            while (months > 0 && instant(addMonths(a, months), timeZone) > to) {
+                months--;
+            }
+        }
+        anchor = addMonths(a, months);
+        days = Math.round((utc({ year: b.year, month: b.month, day: b.day }) - utc({ year: anchor.year, month: anchor.month, day: anchor.day })) / DAY);
+        while (days > 0 && instant(addDays(anchor, days), timeZone) > to) {
+            days--;
+        }
+        // less than a day is counted from from itself, its wall time may
+        // be in a repeated hour and would come back as the earlier one
+        rest = to - (months || days ? instant(addDays(anchor, days), timeZone) : from);
+
+        var years = largest == "years" || !largest ? Math.floor(months / 12) : 0;
+        return {
+            sign: sign,
+            years: years,
+            months: months - years * 12,
+            days: days,
+            hours: Math.floor(rest / 3600000),
+            minutes: Math.floor(rest % 3600000 / 60000),
+            seconds: Math.floor(rest % 60000 / 1000),
+            milliseconds: rest % 1000,
+            total: sign * (to - from)
+        };
+    }
+
+    // The calendar date of a birthday, read without any time zone shift so
+    // "1990-05-01T00:00:00Z" is still May 1st in Honolulu.
+    function birthday(date) {
+        var m = /^(\d{4})-(\d{2})-(\d{2})/.exec(date);
+        if (m) {
+            return { year: +m[1], month: +m[2], day: +m[3] };
+        }
+        var d = new Date(parse(date));
+        return { year: d.getFullYear(), month: d.getMonth() + 1, day: d.getDate() };
+    }
+
+    // Midnight starting the birthday in a given year, a Feb 29 birthday is
+    // celebrated on Feb 28 in common years.
+    function occurrence(date, year, timeZone) {
+        var b = birthday(date);
+        return instant({
+            year: year,
+            month: b.month,
+            day: Math.min(b.day, daysInMonth(year, b.month)),
+            hour: 0,
+            minute: 0,
+            second: 0,
+            millisecond: 0
+        }, timeZone);
+    }
+
+    // The next local midnight at which the birthday begins, strictly after now.
+    function nextOccurrence(date, now, timeZone) {
+        var year = wall(now, timeZone).year, next = occurrence(date, year, timeZone);
+        if (next <= now) {
+            next = occurrence(date, year + 1, timeZone);
+        }
+        return next;
+    }
+
+    function isBirthday(date, now, timeZone) {
+        var b = birthday(date), w = wall(now, timeZone);
+        return w.month == b.month && w.day == Math.min(b.day, daysInMonth(w.year, b.month));
+    }
+
+    exports.Duration = {
+        isTimeZone: isTimeZone,
+        wall: wall,
+        instant: instant,
+        parse: parse,
+        between: between,
+        nextOccurrence: nextOccurrence,
+        isBirthday: isBirthday
+    };
+
+})(typeof module !== "undefined" && module.exports ? module.exports : window);
@@ -1,62 +1,204 @@
 
 
-// variables
-var $win = $(window);
-var clientWidth = $win.width();
-var clientHeight = $win.height();
-
-$(window).resize(function() {
-    var newWidth = $win.width();
-    var newHeight = $win.height();
-    if (newWidth != clientWidth && newHeight != clientHeight) {
-        location.replace(location);
-    }
-});
-
 (function($) {
-	$.fn.typewriter = function() {
-		this.each(function() {
-			var $ele = $(this), str = $ele.html(), progress = 0;
-			$ele.html('');
-			var timer = setInterval(function() {
-				var current = str.substr(progress, 1);
-				if (current == '<') {
-					progress = str.indexOf('>', progress) + 1;
+	var Async = Jscex.Async;
+
+	// A tag, an entity or a run of text between them.
+	var TOKEN = /<[^>]*>|&(?:#\d+|#x[0-9a-f]+|[a-z]\w*);|[^<&]+|[\s\S]/gi;
+
+	var CURSOR = '<span class="typewriter-cursor"></span>';
+
+	function isTag(token) {
+		return token.charAt(0) == '<';
+	}
+
+	// The typewriter types a script, a list of parts each typed after the
+	// one before:
+	//   {html, speed, pause, draft, hold}
+	// html is typed at speed ms a character (default $.typewriter.delay)
+	// after waiting pause ms. With draft, that is typed first and after hold
+	// ms deleted back to where it differs from html, then the rest typed.
+	// Tags are markup and take no time. A plain string is a script of one
+	// part. $.typewriter.plan turns a script into the frames to show, and
+	// $.typewriter.at(plan, ms) is what shows after ms, so a recording can
+	// type on its own clock.
+	$.typewriter = {
+		delay: 75,
+		hold: 600,
+		// html -> tags, entities and characters as Graphemes.split sees
+		// them, an emoji sequence is typed (and deleted) whole
+		tokens: function(html) {
+			var parts = html.match(TOKEN) || [], out = [];
+			for (var i = 0; i < parts.length; i++) {
+				if (parts[i].length > 1 && !isTag(parts[i]) && parts[i].charAt(0) != '&') {
+					out = out.concat(Graphemes.split(parts[i]));
 				} else {
-					progress++;
+					out.push(parts[i]);
 				}
-				$ele.html(str.substring(0, progress) + (progress & 1 ? '_' : ''));
-				if (progress >= str.length) {
-					clearInterval(timer);
+			}
+			return out;
+		},
+		// -> [{time, html}], each html showing from its time on
+		plan: function(script) {
+			var shown = [], time = 0, frames = [{ time: 0, html: '' }], part, speed, draft, html, same;
+			if (typeof script === 'string') {
+				script = [{ html: script }];
+			}
+			function show() {
+				var last = frames[frames.length - 1], text = shown.join('');
+				if (last.time == time) {
+					last.html = text;
+				} else if (last.html != text) {
+					frames.push({ time: time, html: text });
 				}
-			}, 75);
+			}
+			function type(tokens, from, speed) {
+				for (var i = from; i < tokens.length; i++) {
+					if (!isTag(tokens[i])) {
+						time += speed;
+					}
+					shown.push(tokens[i]);
+					show();
+				}
+			}
+			// back to length tokens, a character at a time
+			function erase(length, speed) {
+				while (shown.length > length) {
+					if (!isTag(shown.pop())) {
+						time += speed;
+						show();
+					}
+				}
+				show();
+			}
+			for (var i = 0; i < script.length; i++) {
+				part = script[i];
+				speed = part.speed || $.typewriter.delay;
+				html = $.typewriter.tokens(part.html || '');
+				time += part.pause || 0;
+				if (part.draft) {
+					draft = $.typewriter.tokens(part.draft);
+					same = 0;
+					while (same < draft.length && draft[same] === html[same]) {
+						same++;
+					}
+					type(draft, 0, speed);
+					time += part.hold === undefined ? $.typewriter.hold : part.hold;
+					erase(shown.length - draft.length + same, speed / 2);
+					type(html, same, speed);
+				} else {
+					type(html, 0, speed);
+				}
+			}
+			return frames;
+		},
+		// how long typing the plan takes, in ms
+		duration: function(plan) {
+			return plan[plan.length - 1].time;
+		},
+		at: function(plan, ms) {
+			var lo = 0, hi = plan.length - 1, mid;
+			while (lo < hi) {
+				mid = Math.ceil((lo + hi) / 2);
+				if (plan[mid].time <= ms) {
+					lo = mid;
+				} else {
+					hi = mid - 1;
+				}
+			}
+			return plan[lo].html;
+		}
+	};
+
+	var typeAsync = eval(Jscex.compile("async", function (ele, plan, frame, ct) {
+		var start, now, html, last = null, end = $.typewriter.duration(plan);
+		start = $await(frame(ct));
+		do {
+			now = $await(frame(ct));
+			html = $.typewriter.at(plan, now - start);
+			if (html !== last) {
+				ele.html(html + CURSOR);
+				last = html;
+			}
+		} while (now - start < end);
+	}));
+
+	// .typewriter(script) types script, or the element's own html, into the
+	// element and returns the Task typing it, which completes once all is
+	// typed. .typewriter("stop") ends a running one where it is, its Task
+	// fails with a CanceledError. frame(ct) -> Task with a timestamp is
+	// where the frames come from, a Timeline's frame holds the typing while
+	// it is paused; the screen's own frames without it.
+	$.fn.typewriter = function(script, frame) {
+		var task = null;
+		this.each(function() {
+			var $ele = $(this), token = $ele.data('typewriter');
+			if (token) {
+				token.cancel();
+				$ele.removeData('typewriter');
+			}
+			if (script == 'stop') {
+				return;
+			}
+			token = new Async.CancellationToken();
+			$ele.data('typewriter', token);
+			task = typeAsync($ele, $.typewriter.plan(script || $ele.html()), frame || Async.nextFrame, token);
+			$ele.html('');
+			task.start();
 		});
-		return this;
+		return script == 'stop' ? this : task;
 	};
 })(jQuery);
 
-function timeElapse(date){
-	var current = Date();
-	var seconds = (Date.parse(current) - Date.parse(date)) / 1000;
-	var days = Math.floor(seconds / (3600 * 24));
-	seconds = seconds % (3600 * 24);
-	var hours = Math.floor(seconds / 3600);
+function clockHtml(d){
+	var hours = d.hours, minutes = d.minutes, seconds = d.seconds;
 	if (hours < 10) {
 		hours = "0" + hours;
 	}
-	seconds = seconds % 3600;
-	var minutes = Math.floor(seconds / 60);
 	if (minutes < 10) {
 		minutes = "0" + minutes;
 	}
-	seconds = seconds % 60;
 	if (seconds < 10) {
 		seconds = "0" + seconds;
 	}
-	var result = "Days <span class=\"digit\">" + days + "</span> Hours <span class=\"digit\">" + hours + "</span> Minutes <span class=\"digit\">" + minutes; 
-	$("#clock").html(result);
+	return "Days <span class=\"digit\">" + d.days + "</span> Hours <span class=\"digit\">" + hours + "</span> Minutes <span class=\"digit\">" + minutes + "</span> Seconds <span class=\"digit\">" + seconds + "</span>";
+}
+
+// What the clock reads at now (epoch ms): {message, time} with time from
+// Duration.between. card.clock picks the direction, counting up from
+// card.date or down to its next anniversary. timeZone is the recipient's,
+// dates without an offset are read as their wall-clock time.
+function clockAt(card, now){
+	var date = card.date, timeZone = card.timeZone, text;
+	if (card.clock == "countdown") {
+		text = card.message || "YOUR NEXT BIRTHDAY IS IN ";
+		if (Duration.isBirthday(date, now, timeZone)) {
+			text = "IT'S YOUR BIRTHDAY! THE NEXT ONE IS IN ";
+		}
+		return {
+			message: text,
+			time: Duration.between(now, Duration.nextOccurrence(date, now, timeZone), timeZone, "days")
+		};
+	}
+	return {
+		message: card.message || "THE WORLD JUST GOT LUCKIER SINCE ",
+		time: Duration.between(Duration.parse(date, timeZone), now, timeZone, "days")
+	};
+}
+
+function showClock(clock){
+	$("#clock").html(clockHtml(clock.time));
+	$("#message-box").html(clock.message);
+}
 
-	var text = "THE WORLD JUST GOT LUCKIER SINCE ";
-	$("#message-box").html(text);
+function timeElapse(date, message, timeZone){
+	showClock(clockAt({ date: date, message: message, timeZone: timeZone, clock: "elapsed" }, Date.now()));
+}
+
+function timeUntil(date, message, timeZone){
+	showClock(clockAt({ date: date, message: message, timeZone: timeZone, clock: "countdown" }, Date.now()));
+}
 
+function timeTick(card){
+	showClock(clockAt(card, Date.now()));
 }
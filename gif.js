@@ -0,0 +1,234 @@
+(function(window){
+
+    // A small animated GIF (GIF89a) encoder. Every frame is mapped onto one
+    // fixed palette, a 6x7x6 colour cube, with ordered dithering to hide the
+    // banding, then LZW compressed. Frames are encoded as they are added so
+    // only the compressed bytes are kept.
+    var R = 6, G = 7, B = 6;
+
+    var BAYER = [
+         0,  8,  2, 10,
+        12,  4, 14,  6,
+         3, 11,  1,  9,
+        15,  7, 13,  5
+    ];
+
+    // Bytes collected in fixed-size chunks, ready to become a Blob.
+    function Bytes() {
+        this.chunks = [];
+        this.chunk = new Uint8Array(65536);
+        this.length = 0;
+    }
+    Bytes.prototype = {
+        byte: function(b) {
+            if (this.length == this.chunk.length) {
+                this.chunks.push(this.chunk);
+                this.chunk = new Uint8Array(65536);
+                this.length = 0;
+            }
+            this.chunk[this.length++] = b;
+        },
+        word: function(w) {
+            this.byte(w & 0xff);
+            this.byte((w >> 8) & 0xff);
+        },
+        string: function(str) {
+            for (var i = 0; i < str.length; i++) {
+                this.byte(str.charCodeAt(i));
+            }
+        },
+        parts: function() {
+            return this.chunks.concat([this.chunk.subarray(0, this.length)]);
+        }
+    }
+
+    function palette(out) {
+        for (var i = 0; i < 256; i++) {
+            if (i < R * G * B) {
+                out.byte(Math.round(Math.floor(i / (G * B)) * 255 / (R - 1)));
+                out.byte(Math.round(Math.floor(i / B) % G * 255 / (G - 1)));
+                out.byte(Math.round(i % B * 255 / (B - 1)));
+            } else {
+                out.byte(0);
+                out.byte(0);
+                out.byte(0);
+            }
+        }
+    }
+
+    // rgba pixels -> palette indices
+    function quantize(rgba, width, height) {
+        var out = new Uint8Array(width * height), x, y, i, d, r, g, b;
+        for (y = 0; y < height; y++) {
+            for (x = 0; x < width; x++) {
+                i = y * width + x;
+                d = BAYER[(y & 3) * 4 + (x & 3)] / 16 - 0.5;
+                r = Math.round((rgba[i * 4] / 255 * (R - 1)) + d);
+                g = Math.round((rgba[i * 4 + 1] / 255 * (G - 1)) + d);
+                b = Math.round((rgba[i * 4 + 2] / 255 * (B - 1)) + d);
+                r = r < 0 ? 0 : r > R - 1 ? R - 1 : r;
+                g = g < 0 ? 0 : g > G - 1 ? G - 1 : g;
+                b = b < 0 ? 0 : b > B - 1 ? B - 1 : b;
+                out[i] = (r * G + g) * B + b;
+            }
+        }
+        return out;
+    }
+
+    // Variable length LZW as GIF wants it, after the classic compress(1)
+    // with an open addressed hash table of 5003 slots.
+    var HSIZE = 5003, BITS = 12, MAXCODE = 1 << BITS;
+
+    function lzw(pixels, out) {
+        var htab = new Int32Array(HSIZE), codetab = new Int32Array(HSIZE),
+            clear = 256, eoi = 257, free = clear + 2,
+            bits = 9, maxcode = (1 << bits) - 1, clearing = false,
+            cur = 0, curBits = 0, block = new Uint8Array(255), blockLength = 0,
+            ent, c, fcode, h, disp, i, found;
+
+        function flush() {
+            if (blockLength) {
+                out.byte(blockLength);
+                for (var k = 0; k < blockLength; k++) {
+                    out.byte(block[k]);
+                }
+                blockLength = 0;
+            }
+        }
+        function emit(b) {
+            block[blockLength++] = b;
+            if (blockLength == 255) {
+                flush();
+            }
+        }
+        function output(code) {
+            cur |= code << curBits;
+            curBits += bits;
+            while (curBits >= 8) {
+                emit(cur & 0xff);
+                cur >>>= 8;
+                curBits -= 8;
+            }
+            // the decoder widens its codes as the table fills, so must we
+            if (free > maxcode || clearing) {
+                if (clearing) {
+                    bits = 9;
+                    maxcode = (1 << bits) - 1;
+                    clearing = false;
+                } else {
+                    bits++;
+                    maxcode = bits == BITS ? MAXCODE : (1 << bits) - 1;
+                }
+            }
+        }
+        function reset() {
+            for (var k = 0; k < HSIZE; k++) {
+                htab[k] = -1;
+            }
+        }
+
+        out.byte(8);
+        reset();
+        output(clear);
+        ent = pixels[0];
+        for (i = 1; i < pixels.length; i++) {
+            c = pixels[i];
+            fcode = (c << BITS) + ent;
+            h = (c << 4) ^ ent;
+            found = false;
+            if (htab[h] === fcode) {
+                found = true;
+            } else if (htab[h] >= 0) {
+                disp = h === 0 ? 1 : HSIZE - h;
+                do {
+                    h -= disp;
+                    if (h < 0) {
+                        h += HSIZE;
+                    }
+                    if (htab[h] === fcode) {
+                        found = true;
+                        break;
+                    }
+                } while (htab[h] >= 0);
+            }
+            if (found) {
+                ent = codetab[h];
+                continue;
+            }
+            output(ent);
+            ent = c;
+            if (free < MAXCODE) {
+                codetab[h] = free++;
+                htab[h] = fcode;
+            } else {
+                reset();
+                free = clear + 2;
+                clearing = true;
+                output(clear);
+            }
+        }
+        output(ent);
+        output(eoi);
+        if (curBits > 0) {
+            emit(cur & 0xff);
+        }
+        flush();
+        out.byte(0);
+    }
+
+    // width x height frames, looping forever.
+    GifEncoder = function(width, height) {
+        var out = this.out = new Bytes();
+        this.width = width;
+        this.height = height;
+
+        out.string("GIF89a");
+        out.word(width);
+        out.word(height);
+        // global colour table of 256 entries, 8 bits per primary
+        out.byte(0xf7);
+        out.byte(0);
+        out.byte(0);
+        palette(out);
+
+        // NETSCAPE2.0 loop extension, 0 is forever
+        out.byte(0x21);
+        out.byte(0xff);
+        out.byte(11);
+        out.string("NETSCAPE2.0");
+        out.byte(3);
+        out.byte(1);
+        out.word(0);
+        out.byte(0);
+    }
+    GifEncoder.prototype = {
+        // rgba as from getImageData().data, shown for delay ms (GIF counts
+        // in hundredths of a second)
+        addFrame: function(rgba, delay) {
+            var out = this.out;
+            out.byte(0x21);
+            out.byte(0xf9);
+            out.byte(4);
+            // leave the frame in place, no transparency
+            out.byte(0x04);
+            out.word(Math.round(delay / 10));
+            out.byte(0);
+            out.byte(0);
+
+            out.byte(0x2c);
+            out.word(0);
+            out.word(0);
+            out.word(this.width);
+            out.word(this.height);
+            out.byte(0);
+            lzw(quantize(rgba, this.width, this.height), out);
+        },
+        finish: function() {
+            this.out.byte(0x3b);
+            return new Blob(this.out.parts(), { type: "image/gif" });
+        }
+    }
+
+    window.GifEncoder = GifEncoder;
+
+})(window);
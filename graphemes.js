@@ -0,0 +1,36 @@
+(function(exports){
+
+    // Splits text into what a reader sees as single characters: an emoji
+    // with its skin tone or variation selector, a ZWJ family, a flag, a
+    // letter with its accents. Cutting anywhere else leaves half a glyph.
+    // Intl.Segmenter does it properly where there is one, elsewhere a
+    // pattern covers the cases a birthday card meets.
+    var segmenter = typeof Intl !== "undefined" && Intl.Segmenter ?
+        new Intl.Segmenter(undefined, { granularity: "grapheme" }) : null;
+
+    var POINT = "(?:[\\uD800-\\uDBFF][\\uDC00-\\uDFFF]|[\\s\\S])";
+    // combining marks, variation selectors, skin tones and the tag
+    // characters of subdivision flags
+    var EXTEND = "(?:[\\u0300-\\u036F\\u1AB0-\\u1AFF\\u1DC0-\\u1DFF\\u20D0-\\u20FF\\uFE00-\\uFE0F\\uFE20-\\uFE2F]" +
+        "|\\uD83C[\\uDFFB-\\uDFFF]|\\uDB40[\\uDC20-\\uDC7F\\uDD00-\\uDDEF])*";
+    // two regional indicators make a flag
+    var FLAG = "\\uD83C[\\uDDE6-\\uDDFF]\\uD83C[\\uDDE6-\\uDDFF]";
+    var PATTERN = new RegExp("\\r\\n|" + FLAG + "|" + POINT + EXTEND + "(?:\\u200D" + POINT + EXTEND + ")*", "g");
+
+    function split(str) {
+        var out = [], it, step;
+        if (segmenter) {
+            it = segmenter.segment(str)[Symbol.iterator]();
+            while (!(step = it.next()).done) {
+                out.push(step.value.segment);
+            }
+            return out;
+        }
+        return str.match(PATTERN) || [];
+    }
+
+    exports.Graphemes = {
+        split: split
+    };
+
+})(typeof module !== "undefined" && module.exports ? module.exports : window);
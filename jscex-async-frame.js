@@ -0,0 +1,83 @@
+(function(){
+
+    // Jscex.Async.nextFrame(ct) completes on the next animation frame with
+    // that frame's timestamp in milliseconds. A loop awaiting it runs once
+    // per screen refresh, and the timestamps tell it how much time passed.
+    var init = function(root) {
+        if (root.modules["async-frame"]) {
+            return;
+        }
+        if (!root.modules["async"]) {
+            throw new Error('Missing essential components, please initialize "jscex-async" module first.');
+        }
+
+        var Async = root.Async,
+            Task = Async.Task,
+            CanceledError = Async.CanceledError;
+
+        var now = typeof performance !== "undefined" && performance.now ? function() {
+            return performance.now();
+        } : function() {
+            return +new Date();
+        };
+
+        var request, cancel;
+        if (typeof requestAnimationFrame === "function") {
+            request = function(fn) {
+                return requestAnimationFrame(fn);
+            };
+            cancel = function(id) {
+                cancelAnimationFrame(id);
+            };
+        } else {
+            request = function(fn) {
+                return setTimeout(function() {
+                    fn(now());
+                }, 16);
+            };
+            cancel = function(id) {
+                clearTimeout(id);
+            };
+        }
+
+        Async.nextFrame = function(ct) {
+            return Task.create(function(t) {
+                if (ct && ct.isCancellationRequested) {
+                    t.complete("failure", new CanceledError());
+                    return;
+                }
+
+                var id, onCancel;
+                if (ct) {
+                    onCancel = function() {
+                        cancel(id);
+                        t.complete("failure", new CanceledError());
+                    };
+                }
+
+                id = request(function(time) {
+                    if (ct) {
+                        ct.unregister(onCancel);
+                    }
+                    t.complete("success", time);
+                });
+
+                if (ct) {
+                    ct.register(onCancel);
+                }
+            });
+        };
+
+        root.modules["async-frame"] = true;
+    };
+
+    if (typeof require === "function" && typeof module !== "undefined" && module.exports) {
+        module.exports.init = init;
+    } else {
+        if (typeof Jscex === "undefined") {
+            throw new Error('Missing the root object, please load "jscex" module first.');
+        }
+        init(Jscex);
+    }
+
+})();
@@ -1,7 +1,36 @@
-﻿(function(window){
+﻿(function(exports, node){
 
-    function random(min, max) {
-        return min + Math.floor(Math.random() * (max - min + 1));
+    // Globals in a page, their modules in Node.
+    var Shapes = node ? require('./shapes.js').Shapes : exports.Shapes,
+        Canopy = node ? require('./canopy.js').Canopy : exports.Canopy,
+        Branches = node ? require('./branches.js').Branches : exports.Branches,
+        Graphemes = node ? require('./graphemes.js').Graphemes : exports.Graphemes;
+
+    function random(min, max, rand) {
+        return min + Math.floor((rand || Math.random)() * (max - min + 1));
+    }
+
+    // mulberry32, a tiny generator that repeats exactly for a given seed.
+    // A string seed is hashed (FNV-1a) first, no seed picks one at random.
+    function prng(seed) {
+        var a = 0;
+        if (typeof seed === 'string') {
+            a = 2166136261;
+            for (var i = 0; i < seed.length; i++) {
+                a = Math.imul(a ^ seed.charCodeAt(i), 16777619);
+            }
+        } else if (seed === undefined || seed === null) {
+            a = Math.floor(Math.random() * 4294967296);
+        } else {
+            a = seed;
+        }
+        a = a >>> 0;
+        return function() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            var t = Math.imul(a ^ (a >>> 15), 1 | a);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     }
 
     function bezier(cp, t) {  
@@ -11,13 +40,116 @@
         return p1.add(p2).add(p3);
     }  
 
-    function inheart(x, y, r) {
-        
-        var z = ((x / r) * (x / r) + (y / r) * (y / r) - 1) * ((x / r) * (x / r) + (y / r) * (y / r) - 1) * ((x / r) * (x / r) + (y / r) * (y / r) - 1) - (x / r) * (x / r) * (y / r) * (y / r) * (y / r);
-        return z < 0;
+    // Every animation used to advance one step per 10ms timer tick. Elapsed
+    // milliseconds are turned into whole steps with the remainder carried
+    // over, so the same time draws the same picture at any frame rate.
+    // Without dt a call is one step, as before.
+    var STEP = 10;
+
+    function steps(o, dt) {
+        o.elapsed = (o.elapsed || 0) + (dt === undefined ? STEP : dt);
+        var n = Math.floor(o.elapsed / STEP);
+        o.elapsed -= n * STEP;
+        return n;
+    }
+
+    // how much bigger a bloom is drawn on a full pulse
+    var PULSE = 0.3;
+
+    // function(width, height) -> a new canvas, from create when given and
+    // otherwise from the document the tree's canvas is in.
+    function scratcher(canvas, create) {
+        return function(width, height) {
+            var c;
+            if (create) {
+                c = create(width, height);
+            } else if (canvas.ownerDocument) {
+                c = canvas.ownerDocument.createElement('canvas');
+            } else {
+                throw new Error('opt.createCanvas is needed outside a page');
+            }
+            c.width = width;
+            c.height = height;
+            return c;
+        };
     }
 
-    Point = function(x, y) {
+    // An offscreen canvas holding one part of the scene, drawn in logical
+    // coordinates and composited onto the tree's canvas at (x, y).
+    function Layer(scratch, width, height) {
+        this.scratch = scratch;
+        this.canvas = scratch(1, 1);
+        this.ctx = this.canvas.getContext('2d');
+        this.width = width;
+        this.height = height;
+        this.x = 0;
+        this.y = 0;
+    }
+    Layer.prototype = {
+        // Only ever to a higher density: what a layer holds is drawn once
+        // and kept, scaled down and back up it would stay blurry.
+        resize: function(ratio) {
+            var canvas = this.canvas, copy = null;
+            if (this.ratio >= ratio) {
+                return;
+            }
+            if (this.ratio) {
+                copy = this.scratch(canvas.width, canvas.height);
+                copy.getContext('2d').drawImage(canvas, 0, 0);
+            }
+            canvas.width = Math.round(this.width * ratio);
+            canvas.height = Math.round(this.height * ratio);
+            this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            if (copy) {
+                this.ctx.drawImage(copy, 0, 0, this.width, this.height);
+            }
+            this.ratio = ratio;
+        },
+        clear: function() {
+            this.ctx.clearRect(0, 0, this.width, this.height);
+        }
+    }
+
+    // Traces a figure (see shapes.js) flipped the right way up for the
+    // canvas, a point marked move starts another subpath.
+    function outline(ctx, figure, scale) {
+        var p;
+        ctx.beginPath();
+        for (var i = 0; i < figure.length; i++) {
+            p = figure.get(i, scale);
+            if (i === 0 || p.move) {
+                ctx.moveTo(p.x, -p.y);
+            } else {
+                ctx.lineTo(p.x, -p.y);
+            }
+        }
+        ctx.closePath();
+    }
+
+    // from (x, y) to the nearest point of the segment a b
+    function distance(x, y, a, b) {
+        var dx = b.x - a.x, dy = b.y - a.y, len = dx * dx + dy * dy,
+            t = len ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / len)) : 0;
+        dx = a.x + t * dx - x;
+        dy = a.y + t * dy - y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // text cut short with an ellipsis to fit width, never inside a
+    // character (see graphemes.js)
+    function fit(ctx, text, width) {
+        var chars;
+        if (ctx.measureText(text).width <= width) {
+            return text;
+        }
+        chars = Graphemes.split(text);
+        while (chars.length && ctx.measureText(chars.join('') + '\u2026').width > width) {
+            chars.pop();
+        }
+        return chars.join('') + '\u2026';
+    }
+
+    var Point = function(x, y) {
         this.x = x || 0;
         this.y = y || 0;
     }
@@ -26,32 +158,32 @@
             return new Point(this.x, this.y);
         },
         add: function(o) {
-            p = this.clone();
+            var p = this.clone();
             p.x += o.x;
             p.y += o.y;
             return p;
         },
         sub: function(o) {
-            p = this.clone();
+            var p = this.clone();
             p.x -= o.x;
             p.y -= o.y;
             return p;
         },
         div: function(n) {
-            p = this.clone();
+            var p = this.clone();
             p.x /= n;
             p.y /= n;
             return p;
         },
         mul: function(n) {
-            p = this.clone();
+            var p = this.clone();
             p.x *= n;
             p.y *= n;
             return p;
         }
     }
 
-    Heart = function() {
+    var Heart = function() {
         // x = 16 sin^3 t
         // y = 13 cos t - 5 cos 2t - 2 cos 3t - cos 4t
         // http://www.wolframalpha.com/input/?i=x+%3D+16+sin%5E3+t%2C+y+%3D+(13+cos+t+-+5+cos+2t+-+2+cos+3t+-+cos+4t)
@@ -71,11 +203,12 @@
         }
     }
 
-    Seed = function(tree, point, scale, color) {
+    var Seed = function(tree, point, scale, color, text) {
         this.tree = tree;
+        this.text = text || ["Click Me:) ", "Birthday Queen !"];
 
         var scale = scale || 1
-        var color = '#FFC0CB';
+        var color = color || '#FFC0CB';
 
         this.heart = {
             point  : point,
@@ -102,10 +235,12 @@
         canMove: function() {
             return this.cirle.point.y < (this.tree.height + 20); 
         },
-        move: function(x, y) {
+        move: function(x, y, dt) {
+            var n = steps(this, dt);
             this.clear();
             this.drawCirle();
-            this.addPosition(x, y);
+            this.addPosition(x * n, y * n);
+            this.tree.invalidate();
         },
         canScale: function() {
             return this.heart.scale > 0.2;
@@ -113,31 +248,29 @@
         setHeartScale: function(scale) {
             this.heart.scale *= scale;
         },
-        scale: function(scale) {
+        scale: function(scale, dt) {
+            var n = steps(this, dt);
             this.clear();
             this.drawCirle();
             this.drawHeart();
-            this.setHeartScale(scale);
+            for (var i = 0; i < n && this.canScale(); i++) {
+                this.setHeartScale(scale);
+            }
+            this.tree.invalidate();
         },
         drawHeart: function() {
-            var ctx = this.tree.ctx, heart = this.heart;
+            var ctx = this.tree.layers.seed.ctx, heart = this.heart;
             var point = heart.point, color = heart.color, 
                 scale = heart.scale;
             ctx.save();
             ctx.fillStyle = color;
             ctx.translate(point.x, point.y);
-            ctx.beginPath();
-            ctx.moveTo(0, 0);
-            for (var i = 0; i < heart.figure.length; i++) {
-                var p = heart.figure.get(i, scale);
-                ctx.lineTo(p.x, -p.y);
-            }
-            ctx.closePath();
+            outline(ctx, heart.figure, scale);
             ctx.fill();
             ctx.restore();
         },
         drawCirle: function() {
-            var ctx = this.tree.ctx, cirle = this.cirle;
+            var ctx = this.tree.layers.seed.ctx, cirle = this.cirle;
             var point = cirle.point, color = cirle.color, 
                 scale = cirle.scale, radius = cirle.radius;
             ctx.save();
@@ -152,7 +285,7 @@
             ctx.restore();
         },
         drawText: function() {
-            var ctx = this.tree.ctx, heart = this.heart;
+            var ctx = this.tree.layers.seed.ctx, heart = this.heart;
             var point = heart.point, color = heart.color, 
                 scale = heart.scale;
             ctx.save();
@@ -168,24 +301,74 @@
             ctx.moveTo(0, 0);
             ctx.scale(0.75, 0.75);
             ctx.font = "12px,Verdana"; // 字号肿么没有用? (ˉ(∞)ˉ)
-            ctx.fillText("Click Me:) ", 30, -5);
-            ctx.fillText("Birthday Queen !", 28, 10);
+            // up to where the underline ends at 130, in the text's 0.75 scale
+            ctx.fillText(fit(ctx, this.text[0] || "", 130 / 0.75 - 30), 30, -5);
+            ctx.fillText(fit(ctx, this.text[1] || "", 130 / 0.75 - 28), 28, 10);
             ctx.restore();
+            this.tree.invalidate();
         },
         clear: function() {
-            var ctx = this.tree.ctx, cirle = this.cirle;
+            var ctx = this.tree.layers.seed.ctx, cirle = this.cirle;
             var point = cirle.point, scale = cirle.scale, radius = 26;
-            var w = h = (radius * scale);
+            var w = radius * scale, h = w;
             ctx.clearRect(point.x - w, point.y - h, 4 * w, 4 * h);
         },
-        hover: function(x, y) {
-            var ctx = this.tree.ctx;
-            var pixel = ctx.getImageData(x, y, 1, 1);
-            return pixel.data[3] == 255
+        // The heart's box in canvas coordinates, for what stands in for the
+        // seed outside the canvas (the page's button for the keyboard).
+        bounds: function() {
+            var heart = this.heart, figure = heart.figure,
+                left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity, p;
+            for (var i = 0; i < figure.length; i++) {
+                p = figure.get(i, heart.scale);
+                left = Math.min(left, p.x);
+                right = Math.max(right, p.x);
+                top = Math.min(top, -p.y);
+                bottom = Math.max(bottom, -p.y);
+            }
+            return {
+                x: heart.point.x + left,
+                y: heart.point.y + top,
+                width: right - left,
+                height: bottom - top
+            };
+        },
+        // Whether (x, y) is on the heart, or within radius of its outline
+        // (a finger covers more than a mouse pointer). Worked out from the
+        // same path outline() draws, in the heart's own units: a point
+        // marked move starts a new ring, and each ring closes on its first
+        // point.
+        hover: function(x, y, radius) {
+            var heart = this.heart, figure = heart.figure, scale = heart.scale,
+                px = (x - heart.point.x) / scale, py = (heart.point.y - y) / scale,
+                r = (radius || 0) / scale, inside = false, first, last, p;
+            // crosses the ray to the right of (px, py) an even-odd count,
+            // true when the edge is within reach
+            var edge = function(a, b) {
+                if ((a.y > py) != (b.y > py) && px < (b.x - a.x) * (py - a.y) / (b.y - a.y) + a.x) {
+                    inside = !inside;
+                }
+                return r > 0 && distance(px, py, a, b) <= r;
+            };
+            for (var i = 0; i < figure.length; i++) {
+                p = figure.get(i);
+                if (i === 0 || p.move) {
+                    if (i > 0 && edge(last, first)) {
+                        return true;
+                    }
+                    first = p;
+                } else if (edge(last, p)) {
+                    return true;
+                }
+                last = p;
+            }
+            if (figure.length && edge(last, first)) {
+                return true;
+            }
+            return inside;
         }
     }
 
-    Footer = function(tree, width, height, speed) {
+    var Footer = function(tree, width, height, speed) {
         this.tree = tree;
         this.point = new Point(tree.seed.heart.point.x, tree.height - height / 2);
         this.width = width;
@@ -194,9 +377,9 @@
         this.length = 0;
     }
     Footer.prototype = {
-        draw: function() {
-            var ctx = this.tree.ctx, point = this.point;
-            var len = this.length / 2;
+        draw: function(dt) {
+            var ctx = this.tree.layers.ground.ctx, point = this.point;
+            var len = this.length / 2, n = steps(this, dt);
 
             ctx.save();
             ctx.strokeStyle = '#FFF';
@@ -211,36 +394,66 @@
             ctx.stroke();
             ctx.restore();
 
-            if (this.length < this.width) {
+            for (var i = 0; i < n && this.length < this.width; i++) {
                 this.length += this.speed;
             }
+            this.tree.invalidate();
         }
     }
 
-    Tree = function(canvas, width, height, opt) {
+    // target is a canvas, or any CanvasRenderingContext2D-like context
+    // with its canvas, so a tree can be drawn outside a browser (node-canvas
+    // for one). There opt.createCanvas(width, height) makes the offscreen
+    // canvases, in a page the document does.
+    var Tree = function(target, width, height, opt) {
+        var canvas = target.getContext ? target : target.canvas;
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+        this.ctx = target.getContext ? canvas.getContext('2d') : target;
         this.width = width;
         this.height = height;
         this.opt = opt || {};
-
-        this.record = {};
+        this.scratch = scratcher(canvas, this.opt.createCanvas);
+        // every random choice the tree makes comes from here, the same
+        // opt.randomSeed always grows the same tree
+        this.rand = prng(this.opt.randomSeed);
+
+        // bottom to top, the tree slides aside as trunk and bloom together
+        // while petals fall in screen space. pulse holds the opening blooms
+        // swelling on the beat and is redrawn every frame, so a swell never
+        // sticks to the bloom layer.
+        this.layers = {};
+        this.order = ['ground', 'trunk', 'bloom', 'pulse', 'petal', 'seed'];
+        for (var i = 0; i < this.order.length; i++) {
+            this.layers[this.order[i]] = new Layer(this.scratch, width, height);
+        }
+        this.slide = { speed: 10 };
+        this.flowering = {};
+        this.petals = [];
+        this.spawn = 0;
+        this.pulse = 0;
+        this.resize(this.opt.ratio || (typeof devicePixelRatio === 'number' && devicePixelRatio) || 1);
         
         this.initSeed();
         this.initFooter();
         this.initBranch();
+        this.initShapes();
         this.initBloom();
     }
     Tree.prototype = {
+        random: function(min, max) {
+            return random(min, max, this.rand);
+        },
+
         initSeed: function() {
             var seed = this.opt.seed || {};
             var x = seed.x || this.width / 2;
             var y = seed.y || this.height / 2;
             var point = new Point(x, y);
-            var color = seed.color || '#FF0000';
+            var color = seed.color || '#FFC0CB';
             var scale = seed.scale || 1;
+            var text = seed.text;
 
-            this.seed = new Seed(this, point, scale, color);
+            this.seed = new Seed(this, point, scale, color, text);
         },
 
         initFooter: function() {
@@ -251,60 +464,175 @@
             this.footer = new Footer(this, width, height, speed);
         },
 
+        // opt.branch is either the branches themselves or the parameters
+        // to grow them from (see branches.js), with its own seed or else
+        // the tree's.
         initBranch: function() {
             var branchs = this.opt.branch || []
+            var trunk = this.opt.trunk || {};
+            this.branchColor = trunk.color || '#FFC0CB';
             this.branchs = [];
+            if (Object.prototype.toString.call(branchs) !== '[object Array]') {
+                branchs = Branches.generate(branchs, this.seed.heart.point.x, this.width, this.height,
+                    branchs.seed == null ? this.rand : prng(branchs.seed));
+            } else {
+                var errors = Branches.validate(branchs, 'opt.branch');
+                if (errors.length) {
+                    throw new Error('invalid branches: ' + errors.join('; '));
+                }
+            }
             this.addBranchs(branchs);
         },
 
+        // opt.bloom.shapes weighs the shapes the blooms are drawn from,
+        // {heart: 3, sakura: 1} makes every fourth one a cherry blossom. Keys
+        // are names in the Shapes registry or SVG path data, unknown ones
+        // are left out and with none left every bloom is a heart.
+        initShapes: function() {
+            var bloom = this.opt.bloom || {}, weights = bloom.shapes || { heart: 1 };
+            var figure, weight;
+            this.shapes = [];
+            this.shapesWeight = 0;
+            for (var name in weights) {
+                figure = weights.hasOwnProperty(name) && Shapes.get(name);
+                weight = weights[name];
+                if (figure && weight > 0) {
+                    this.shapes.push({ figure: figure, weight: weight });
+                    this.shapesWeight += weight;
+                }
+            }
+            if (!this.shapes.length) {
+                this.shapes.push({ figure: Shapes.get('heart'), weight: 1 });
+                this.shapesWeight = 1;
+            }
+        },
+
+        // a figure for the next bloom, picked by weight
+        figure: function() {
+            var shapes = this.shapes, r;
+            // a single shape leaves the random sequence alone, seeds from
+            // before there were shapes still grow the same tree
+            if (shapes.length == 1) {
+                return shapes[0].figure;
+            }
+            r = this.rand() * this.shapesWeight;
+            for (var i = 0; i < shapes.length - 1; i++) {
+                r -= shapes[i].weight;
+                if (r < 0) {
+                    break;
+                }
+            }
+            return shapes[i].figure;
+        },
+
+        // the outline the blooms fill, opt.bloom.canopy (see canopy.js)
+        initCanopy: function() {
+            var bloom = this.opt.bloom || {};
+            this.canopy = Canopy.create(bloom.canopy, this.scratch,
+                bloom.width || this.width, bloom.height || this.height);
+        },
+
         initBloom: function() {
             var bloom = this.opt.bloom || {};
             var cache = [],
-                num = bloom.num || 500, 
-                width = bloom.width || this.width,
-                height = bloom.height || this.height,
-                figure = this.seed.heart.figure;
-            var r = 240, x, y;
+                num = bloom.num || 500;
+            this.initCanopy();
             for (var i = 0; i < num; i++) {
-                cache.push(this.createBloom(width, height, r, figure));
+                cache.push(this.createBloom(this.figure(), bloom.color));
             }
             this.blooms = [];
             this.bloomsCache = cache;
         },
 
-        toDataURL: function(type) {
-            return this.canvas.toDataURL(type);
+        // Gives the canvas ratio device pixels per logical unit, and every
+        // layer at least that many. Everything keeps drawing in logical
+        // coordinates through the transform, what the layers hold is
+        // resampled when their density goes up and kept as it is otherwise.
+        resize: function(ratio) {
+            var s = this, canvas = s.canvas;
+            if (ratio == s.ratio) {
+                return;
+            }
+            canvas.width = Math.round(s.width * ratio);
+            canvas.height = Math.round(s.height * ratio);
+            if (canvas.style) {
+                canvas.style.width = s.width + 'px';
+                canvas.style.height = s.height + 'px';
+            }
+            s.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            for (var k in s.layers) {
+                s.layers[k].resize(ratio);
+            }
+            s.ratio = ratio;
+            s.render();
+        },
+
+        // Schedules one composite for the next frame however many layers
+        // changed in the meantime.
+        invalidate: function() {
+            var s = this;
+            if (s.pending) {
+                return;
+            }
+            s.pending = true;
+            if (typeof requestAnimationFrame === 'function') {
+                requestAnimationFrame(function() {
+                    s.render();
+                });
+            } else {
+                s.render();
+            }
         },
 
-        draw: function(k) {
-            var s = this, ctx = s.ctx;
-            var rec = s.record[k];
-            if (!rec) {
-                return ;
+        render: function() {
+            var s = this, ctx = s.ctx, layer;
+            s.pending = false;
+            ctx.clearRect(0, 0, s.width, s.height);
+            for (var i = 0; i < s.order.length; i++) {
+                layer = s.layers[s.order[i]];
+                ctx.drawImage(layer.canvas, layer.x, layer.y, s.width, s.height);
             }
-            var point = rec.point,
-                image = rec.image;
+        },
 
-            ctx.save();
-            ctx.putImageData(image, point.x, point.y);
-        	ctx.restore();
+        // Jumps to the end of the card: the seed gone, the ground drawn,
+        // every branch grown and bloom open and the tree moved aside by
+        // (x, y). Drawn in one go, for a still of the finished card.
+        finish: function(x, y) {
+            var s = this, footer = s.footer;
+            // hold back the composite until the end
+            s.pending = true;
+            s.layers.seed.clear();
+            footer.length = footer.width;
+            footer.draw(0);
+            while (s.canGrow()) {
+                s.grow(1000);
+            }
+            while (s.canFlower()) {
+                s.flower(2, 1000);
+            }
+            while (s.move(x || 0, y || 0, 1000)) {
+            }
+            s.render();
+        },
+
+        toDataURL: function(type) {
+            this.render();
+            return this.canvas.toDataURL(type);
         },
 
         addBranch: function(branch) {
         	this.branchs.push(branch);
         },
 
+        // branchs in either form branches.js describes
         addBranchs: function(branchs){
-            var s = this, b, p1, p2, p3, r, l, c;
+            var s = this, b, p1, p2, p3;
         	for (var i = 0; i < branchs.length; i++) {
-                b = branchs[i];
-                p1 = new Point(b[0], b[1]);
-                p2 = new Point(b[2], b[3]);
-                p3 = new Point(b[4], b[5]);
-                r = b[6];
-                l = b[7];
-                c = b[8]
-                s.addBranch(new Branch(s, p1, p2, p3, r, l, c)); 
+                b = Branches.parts(branchs[i]);
+                p1 = new Point(b.from.x, b.from.y);
+                p2 = new Point(b.control.x, b.control.y);
+                p3 = new Point(b.to.x, b.to.y);
+                s.addBranch(new Branch(s, p1, p2, p3, b.radius, b.length, b.children)); 
             }
         },
 
@@ -320,14 +648,16 @@
         canGrow: function() {
             return !!this.branchs.length;
         },
-        grow: function() {
-            var branchs = this.branchs;
+        // a copy, finished branches remove themselves while growing
+        grow: function(dt) {
+            var branchs = this.branchs.slice();
     	    for (var i = 0; i < branchs.length; i++) {
                 var branch = branchs[i];
                 if (branch) {
-                    branch.grow();
+                    branch.grow(dt);
                 }
             }
+            this.invalidate();
         },
 
         addBloom: function (bloom) {
@@ -343,91 +673,104 @@
             }
         },
 
-        createBloom: function(width, height, radius, figure, color, alpha, angle, scale, place, speed) {
-            var x, y;
-            while (true) {
-                x = random(20, width - 20);
-                y = random(20, height - 20);
-                if (inheart(x - width / 2, height - (height - 40) / 2 - y, radius)) {
-                    return new Bloom(this, new Point(x, y), figure, color, alpha, angle, scale, place, speed);
-                }
-            }
+        createBloom: function(figure, color, alpha, angle, scale, place, speed) {
+            var s = this, spot = s.canopy.sample(function(min, max) {
+                return s.random(min, max);
+            }), point = new Point(spot.x, spot.y);
+            return new Bloom(s, point, figure, color, alpha, angle, scale, place, speed);
         },
         
         canFlower: function() {
-            return !!this.blooms.length;
+            return !!(this.blooms.length || this.bloomsCache.length);
         }, 
-        flower: function(num) {
-            var s = this, blooms = s.bloomsCache.splice(0, num);
+        // num new blooms open every step, full grown ones drop out of
+        // s.blooms so a copy is walked
+        flower: function(num, dt) {
+            var s = this, blooms = s.bloomsCache.splice(0, num * steps(s.flowering, dt));
             for (var i = 0; i < blooms.length; i++) {
                 s.addBloom(blooms[i]);
             }
-            blooms = s.blooms;
+            blooms = s.blooms.slice();
             for (var j = 0; j < blooms.length; j++) {
-                blooms[j].flower();
+                blooms[j].flower(dt);
             }
-        },
-
-        snapshot: function(k, x, y, width, height) {
-            var ctx = this.ctx;
-            var image = ctx.getImageData(x, y, width, height); 
-            this.record[k] = {
-                image: image,
-                point: new Point(x, y),
-                width: width,
-                height: height
+            s.layers.pulse.clear();
+            if (s.pulse) {
+                for (var k = 0; k < s.blooms.length; k++) {
+                    s.blooms[k].draw(s.layers.pulse.ctx, s.pulse);
+                }
             }
-        },
-        setSpeed: function(k, speed) {
-            this.record[k || "move"].speed = speed;
-        },
-        move: function(k, x, y) {
-            var s = this, ctx = s.ctx;
-            var rec = s.record[k || "move"];
-            var point = rec.point,
-                image = rec.image,
-                speed = rec.speed || 10,
-                width = rec.width,
-                height = rec.height; 
-
-            i = point.x + speed < x ? point.x + speed : x;
-            j = point.y + speed < y ? point.y + speed : y; 
-
-            ctx.save();
-            ctx.clearRect(point.x, point.y, width, height);
-            ctx.putImageData(image, i, j);
-        	ctx.restore();
+            s.invalidate();
+        },
+
+        // Eases the trunk and blooms toward an offset of (x, y) from where
+        // they grew, returns false once they are there. Offsets snap to whole
+        // device pixels so the tree stays sharp.
+        move: function(x, y, dt) {
+            var s = this, slide = s.slide, n = steps(slide, dt),
+                trunk = s.layers.trunk, bloom = s.layers.bloom;
+            var i = slide.x || 0, j = slide.y || 0;
+            for (var k = 0; k < n; k++) {
+                i = i + slide.speed < x ? i + slide.speed : x;
+                j = j + slide.speed < y ? j + slide.speed : y;
+                slide.speed = Math.max(slide.speed * 0.95, 2);
+            }
+            slide.x = i;
+            slide.y = j;
 
-            rec.point = new Point(i, j);
-            rec.speed = speed * 0.95;
+            trunk.x = bloom.x = Math.round(i * s.ratio) / s.ratio;
+            trunk.y = bloom.y = Math.round(j * s.ratio) / s.ratio;
+            s.invalidate();
 
-            if (rec.speed < 2) {
-                rec.speed = 2;
-            }
             return i < x || j < y;
         },
 
-        jump: function() {
-            var s = this, blooms = s.blooms;
-            if (blooms.length) {
-                for (var i = 0; i < blooms.length; i++) {
-                    blooms[i].jump();
-                }
-            } 
-            if ((blooms.length && blooms.length < 3) || !blooms.length) {
-                var bloom = this.opt.bloom || {},
-                    width = bloom.width || this.width,
-                    height = bloom.height || this.height,
-                    figure = this.seed.heart.figure;
-                var r = 240, x, y;
-                for (var i = 0; i < random(1,2); i++) {
-                    blooms.push(this.createBloom(width / 2 + width, height, r, figure, null, 1, null, 1, new Point(random(-100,600), 720), random(200,300)));
+        // 0 to 1, how strongly the music is hitting right now (see
+        // Music.pulse). Blooms opening and petals falling swell with it, only
+        // as drawn: their own size is left as it is.
+        setPulse: function(level) {
+            this.pulse = Math.max(0, Math.min(1, level || 0));
+        },
+
+        canJump: function() {
+            return !!this.petals.length;
+        },
+        // One frame of falling petals. Blooms come loose from the canopy,
+        // wherever it has moved to, at opt.petal.rate a second while spawn
+        // is true and never more than opt.petal.max at once. Each drifts
+        // down toward a point opt.petal.wind to the side of where it fell.
+        jump: function(dt, spawn) {
+            var s = this, petal = s.opt.petal || {},
+                bloom = s.opt.bloom || {},
+                max = petal.max === undefined ? 20 : petal.max,
+                rate = petal.rate || 3,
+                wind = petal.wind === undefined ? -200 : petal.wind,
+                offset = new Point(s.layers.bloom.x, s.layers.bloom.y),
+                petals = [], p;
+
+            s.layers.petal.clear();
+            for (var i = 0; i < s.petals.length; i++) {
+                if (s.petals[i].jump(dt)) {
+                    petals.push(s.petals[i]);
                 }
             }
+
+            s.spawn = spawn ? s.spawn + (dt === undefined ? STEP : dt) * rate / 1000 : 0;
+            while (s.spawn >= 1 && petals.length < max) {
+                p = s.createBloom(s.figure(), bloom.color, 1, null, 1);
+                p.point = p.point.add(offset);
+                p.place = new Point(p.point.x + wind + s.random(-100, 100), s.height + 40);
+                p.speed = s.random(200, 300);
+                petals.push(p);
+                s.spawn -= 1;
+            }
+            s.spawn = Math.min(s.spawn, 1);
+            s.petals = petals;
+            s.invalidate();
         }
     }
 
-    Branch = function(tree, point1, point2, point3, radius, length, branchs) {
+    var Branch = function(tree, point1, point2, point3, radius, length, branchs) {
         this.tree = tree;
         this.point1 = point1;
         this.point2 = point2;
@@ -440,24 +783,27 @@
     }
 
     Branch.prototype = {
-        grow: function() {
-            var s = this, p; 
-            if (s.len <= s.length) {
-                p = bezier([s.point1, s.point2, s.point3], s.len * s.t);
-                s.draw(p);
-                s.len += 1;
-                s.radius *= 0.97;
-            } else {
-                s.tree.removeBranch(s);
-                s.tree.addBranchs(s.branchs);
+        grow: function(dt) {
+            var s = this, p, n = steps(s, dt);
+            for (var i = 0; i < n; i++) {
+                if (s.len <= s.length) {
+                    p = bezier([s.point1, s.point2, s.point3], s.len * s.t);
+                    s.draw(p);
+                    s.len += 1;
+                    s.radius *= 0.97;
+                } else {
+                    s.tree.removeBranch(s);
+                    s.tree.addBranchs(s.branchs);
+                    return;
+                }
             }
         },
         draw: function(p) {
             var s = this;
-            var ctx = s.tree.ctx;
+            var ctx = s.tree.layers.trunk.ctx;
             ctx.save();
         	ctx.beginPath();
-        	ctx.fillStyle = '#FFC0CB';
+        	ctx.fillStyle = s.tree.branchColor;
             // ctx.shadowColor = 'rgb(35, 31, 32)';
             ctx.shadowBlur = 2;
         	ctx.moveTo(p.x, p.y);
@@ -468,12 +814,12 @@
         }
     }
 
-    Bloom = function(tree, point, figure, color, alpha, angle, scale, place, speed) {
+    var Bloom = function(tree, point, figure, color, alpha, angle, scale, place, speed) {
         this.tree = tree;
         this.point = point;
-        this.color = color || 'rgb(255,' + random(0, 255) + ',' + random(0, 255) + ')';
-        this.alpha = alpha || random(0.3, 1);
-        this.angle = angle || random(0, 360);
+        this.color = color || 'rgb(255,' + tree.random(0, 255) + ',' + tree.random(0, 255) + ')';
+        this.alpha = alpha || tree.random(0.3, 1);
+        this.angle = angle || tree.random(0, 360);
         this.scale = scale || 0.1;
         this.place = place;
         this.speed = speed;
@@ -484,50 +830,60 @@
         setFigure: function(figure) {
             this.figure = figure;
         },
-        flower: function() {
-            var s = this;
-            s.draw();
-            s.scale += 0.1;
-            if (s.scale > 1) {
-                s.tree.removeBloom(s);
+        flower: function(dt) {
+            var s = this, n = steps(s, dt);
+            for (var i = 0; i < n; i++) {
+                s.draw();
+                s.scale += 0.1;
+                if (s.scale > 1) {
+                    s.tree.removeBloom(s);
+                    return;
+                }
             }
         },
-        draw: function() {
-            var s = this, ctx = s.tree.ctx, figure = s.figure;
+        // pulse (0 to 1) draws it that much bigger, see Tree.setPulse
+        draw: function(ctx, pulse) {
+            var s = this, ctx = ctx || s.tree.layers.bloom.ctx, figure = s.figure,
+                scale = s.scale * (1 + (pulse || 0) * PULSE);
 
             ctx.save();
             ctx.fillStyle = s.color;
             ctx.globalAlpha = s.alpha;
             ctx.translate(s.point.x, s.point.y);
-            ctx.scale(s.scale, s.scale);
+            ctx.scale(scale, scale);
             ctx.rotate(s.angle);
-            ctx.beginPath();
-            ctx.moveTo(0, 0);
-            for (var i = 0; i < figure.length; i++) {
-                var p = figure.get(i);
-                ctx.lineTo(p.x, -p.y);
-            }
-            ctx.closePath();
+            outline(ctx, figure);
             ctx.fill();
             ctx.restore();
         },
-        jump: function() {
-            var s = this, height = s.tree.height;
-
-            if (s.point.x < -20 || s.point.y > height + 20) {
-                s.tree.removeBloom(s);
-            } else {
-                s.draw();
+        // false once the petal has left the canvas
+        jump: function(dt) {
+            var s = this, width = s.tree.width, height = s.tree.height, n = steps(s, dt);
+            for (var i = 0; i < n; i++) {
+                if (s.point.x < -20 || s.point.x > width + 20 || s.point.y > height + 20) {
+                    return false;
+                }
                 s.point = s.place.sub(s.point).div(s.speed).add(s.point);
                 s.angle += 0.05;
-                s.speed -= 1;
+                s.speed = Math.max(s.speed - 1, 1);
             }
+            s.draw(s.tree.layers.petal.ctx, s.tree.pulse);
+            return true;
         }
     }
 
-    window.random = random;
-    window.bezier = bezier;
-    window.Point = Point;
-    window.Tree = Tree;
-
-})(window);
+    Shapes.register('heart', new Heart());
+
+    exports.random = random;
+    exports.prng = prng;
+    exports.bezier = bezier;
+    exports.Point = Point;
+    exports.Heart = Heart;
+    exports.Seed = Seed;
+    exports.Footer = Footer;
+    exports.Branch = Branch;
+    exports.Bloom = Bloom;
+    exports.Tree = Tree;
+
+})(typeof module !== 'undefined' && module.exports ? module.exports : window,
+   typeof module !== 'undefined' && !!module.exports);
@@ -0,0 +1,25 @@
+// ES module entry for the drawing core, love.js and its parts are CommonJS
+// in Node (and globals in a page).
+import love from './love.js';
+import shapes from './shapes.js';
+import canopy from './canopy.js';
+import branches from './branches.js';
+import graphemes from './graphemes.js';
+
+export var Tree = love.Tree;
+export var Point = love.Point;
+export var Heart = love.Heart;
+export var Seed = love.Seed;
+export var Footer = love.Footer;
+export var Branch = love.Branch;
+export var Bloom = love.Bloom;
+export var random = love.random;
+export var prng = love.prng;
+export var bezier = love.bezier;
+export var Figure = shapes.Figure;
+export var Shapes = shapes.Shapes;
+export var Canopy = canopy.Canopy;
+export var Branches = branches.Branches;
+export var Graphemes = graphemes.Graphemes;
+
+export default love;
@@ -0,0 +1,138 @@
+(function(exports, $){
+
+    // Timed lyrics for the card's song, from an LRC or a WebVTT file. Both
+    // become the same list of cues
+    //   [{start, end, text}, ...]
+    // with times in seconds into the track, sorted by start. A cue with
+    // nothing to show is dropped, its time still ends the one before.
+
+    // [hh:]mm:ss[.fff] -> seconds, NaN when it is not a time
+    function seconds(str) {
+        var m = /^(?:(\d+):)?(\d+):(\d+(?:[.,]\d+)?)$/.exec(str.trim());
+        if (!m) {
+            return NaN;
+        }
+        return (+m[1] || 0) * 3600 + (+m[2]) * 60 + parseFloat(m[3].replace(",", "."));
+    }
+
+    // markup a line may carry: VTT's <v Name>, <i>, <00:01.000> karaoke
+    // times, enhanced LRC's <00:01.00> word times
+    function plain(str) {
+        return str.replace(/<[^>]*>/g, "")
+            .replace(/&lt;/g, "<")
+            .replace(/&gt;/g, ">")
+            .replace(/&nbsp;/g, " ")
+            .replace(/&amp;/g, "&")
+            .trim();
+    }
+
+    function byStart(a, b) {
+        return a.start - b.start;
+    }
+
+    // [mm:ss.xx] before each line, as many as the times it is sung at.
+    // [offset:ms] moves every line, a positive offset shows them sooner.
+    function lrc(text) {
+        var lines = text.split(/\r\n|\r|\n/), times = [], cues = [], offset = 0,
+            tag = /^\[([^\]]*)\]/, m, rest, t, i, j;
+        for (i = 0; i < lines.length; i++) {
+            rest = lines[i].trim();
+            times = [];
+            while ((m = tag.exec(rest))) {
+                t = seconds(m[1]);
+                if (!isNaN(t)) {
+                    times.push(t);
+                } else if (/^offset:/i.test(m[1])) {
+                    offset = (parseFloat(m[1].slice(7)) || 0) / 1000;
+                }
+                rest = rest.slice(m[0].length);
+            }
+            for (j = 0; j < times.length; j++) {
+                cues.push({ start: times[j], text: plain(rest) });
+            }
+        }
+        cues.sort(byStart);
+        for (i = 0; i < cues.length; i++) {
+            cues[i].start = Math.max(0, cues[i].start - offset);
+            cues[i].end = i + 1 < cues.length ? Math.max(0, cues[i + 1].start - offset) : Infinity;
+        }
+        return cues;
+    }
+
+    // Blocks apart by blank lines, a cue's block holds a "start --> end"
+    // line with its text after. NOTE, STYLE and REGION blocks have none.
+    function vtt(text) {
+        var blocks = text.split(/(?:\r\n|\r|\n){2,}/), cues = [], lines, m, i, j;
+        for (i = 0; i < blocks.length; i++) {
+            lines = blocks[i].split(/\r\n|\r|\n/);
+            for (j = 0; j < lines.length; j++) {
+                m = /^\s*(\S+)\s+-->\s+(\S+)/.exec(lines[j]);
+                if (m) {
+                    cues.push({
+                        start: seconds(m[1]),
+                        end: seconds(m[2]),
+                        text: plain(lines.slice(j + 1).join("\n"))
+                    });
+                    break;
+                }
+            }
+        }
+        return cues.sort(byStart);
+    }
+
+    function parse(text) {
+        var cues = /^\uFEFF?WEBVTT/.test(text) ? vtt(text) : lrc(text), out = [];
+        for (var i = 0; i < cues.length; i++) {
+            if (cues[i].text && !isNaN(cues[i].start) && !(cues[i].end <= cues[i].start)) {
+                out.push(cues[i]);
+            }
+        }
+        return out;
+    }
+
+    // Index of the cue showing at time t, -1 for none. Where cues overlap
+    // the one that started last wins.
+    function at(cues, t) {
+        var lo = 0, hi = cues.length, mid;
+        while (lo < hi) {
+            mid = (lo + hi) >> 1;
+            if (cues[mid].start <= t) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        for (var i = lo - 1; i >= 0; i--) {
+            if (t < cues[i].end) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    // Resolves with the cues of the file at url, never rejects: no url or
+    // a file that cannot be fetched is no lyrics. Only in a page.
+    function load(url) {
+        var deferred = $.Deferred();
+        if (!url) {
+            return deferred.resolve([]).promise();
+        }
+        $.ajax({
+            url: url,
+            dataType: "text"
+        }).done(function(text) {
+            deferred.resolve(parse(text));
+        }).fail(function() {
+            deferred.resolve([]);
+        });
+        return deferred.promise();
+    }
+
+    exports.Lyrics = {
+        parse: parse,
+        at: at,
+        load: load
+    };
+
+})(typeof module !== "undefined" && module.exports ? module.exports : window,
+   typeof jQuery !== "undefined" ? jQuery : null);
@@ -0,0 +1,284 @@
+(function(window){
+
+    // The card's music. Browsers only let a page make sound once the viewer
+    // has done something, so nothing plays until start() is called from a
+    // click or key press (the seed being clicked); after that pause() and
+    // resume() follow the animation, fading out and in through a Web Audio
+    // gain rather than cutting. Volume and mute are the viewer's and kept in
+    // localStorage for the next card. With a beat map from analyze() the
+    // animation can keep time with the track through pulse() and beat().
+    //
+    // o.loop plays the track over and over, o.fade is how long a fade takes
+    // in ms.
+    Music = function(audio, o) {
+        o = o || {};
+        this.audio = audio;
+        this.fade = o.fade === undefined ? 1000 : o.fade;
+        this.audio.loop = !!o.loop;
+        this.started = false;
+        this.paused = false;
+        this.listeners = [];
+
+        var volume = parseFloat(load("volume"));
+        this.volume = isNaN(volume) ? 1 : Math.max(0, Math.min(1, volume));
+        this.muted = load("muted") == "true";
+        this.apply(0);
+    }
+
+    var Async = Jscex.Async, Task = Async.Task;
+
+    var PREFIX = "music.";
+
+    // seconds a beat's pulse takes to die down to a third
+    var DECAY = 0.12;
+
+    // storage can be missing or refuse, that only loses the setting
+    function load(key) {
+        try {
+            return window.localStorage.getItem(PREFIX + key);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function save(key, value) {
+        try {
+            window.localStorage.setItem(PREFIX + key, String(value));
+        } catch (e) {
+            // private browsing, the setting lasts as long as the page
+        }
+    }
+
+    Music.prototype = {
+        // The Web Audio graph, made on the first start() since a context
+        // made before any gesture starts suspended. An element can only ever
+        // be given one source node, so whatever else wants the sound (the
+        // recorder) gets it from here.
+        graph: function() {
+            var s = this, Context = window.AudioContext || window.webkitAudioContext;
+            if (!s.context && Context) {
+                s.context = new Context();
+                s.source = s.context.createMediaElementSource(s.audio);
+                s.gain = s.context.createGain();
+                // ahead of the gain, loudness is the track's not the volume's
+                s.analyser = s.context.createAnalyser();
+                s.analyser.fftSize = 1024;
+                s.source.connect(s.analyser);
+                s.source.connect(s.gain);
+                s.gain.connect(s.context.destination);
+                // the gain sets the volume from now on
+                s.audio.volume = 1;
+                s.apply(0);
+            }
+            if (s.context && s.context.resume) {
+                s.context.resume();
+            }
+            return s.context;
+        },
+
+        // what the speakers should get right now
+        level: function() {
+            return this.muted || this.paused || !this.started ? 0 : this.volume;
+        },
+
+        // Ramps to level() over ms. Without Web Audio the element's own
+        // volume is set at once.
+        apply: function(ms) {
+            var s = this, level = s.level(), now;
+            if (!s.gain) {
+                s.audio.volume = level;
+                return;
+            }
+            now = s.context.currentTime;
+            s.gain.gain.cancelScheduledValues(now);
+            s.gain.gain.setValueAtTime(s.gain.gain.value, now);
+            s.gain.gain.linearRampToValueAtTime(level, now + ms / 1000);
+        },
+
+        // Call from a click or key handler. Plays from where the track is,
+        // fading in.
+        start: function() {
+            var s = this, played;
+            s.graph();
+            s.started = true;
+            s.paused = false;
+            clearTimeout(s.stopping);
+            played = s.audio.play();
+            // still refused, e.g. no gesture after all: the next start()
+            // tries again
+            if (played && played.then) {
+                played.then(null, function() {
+                    s.started = false;
+                    s.notify();
+                });
+            }
+            s.apply(s.fade);
+            s.notify();
+        },
+
+        // Fades out and pauses the track, resume() carries on from there.
+        pause: function() {
+            var s = this;
+            if (!s.started || s.paused) {
+                return;
+            }
+            s.paused = true;
+            s.apply(s.fade);
+            clearTimeout(s.stopping);
+            s.stopping = setTimeout(function() {
+                s.audio.pause();
+            }, s.gain ? s.fade : 0);
+        },
+
+        resume: function() {
+            if (!this.started || !this.paused) {
+                return;
+            }
+            this.start();
+        },
+
+        // back to the beginning of the track, playing on if it was
+        rewind: function() {
+            try {
+                this.audio.currentTime = 0;
+            } catch (e) {
+                // not loaded far enough yet to seek
+            }
+        },
+
+        setVolume: function(volume) {
+            this.volume = Math.max(0, Math.min(1, volume));
+            this.muted = false;
+            save("volume", this.volume);
+            save("muted", false);
+            this.apply(100);
+            this.notify();
+        },
+
+        toggleMute: function() {
+            this.muted = !this.muted;
+            save("muted", this.muted);
+            this.apply(100);
+            this.notify();
+        },
+
+        // The track as a MediaStream for recording, at full volume whatever
+        // the viewer has set. null without Web Audio.
+        stream: function() {
+            var s = this;
+            if (!s.graph()) {
+                return null;
+            }
+            if (!s.destination) {
+                s.destination = s.context.createMediaStreamDestination();
+                s.source.connect(s.destination);
+            }
+            return s.destination.stream;
+        },
+
+        playing: function() {
+            return this.started && !this.paused && !this.audio.paused;
+        },
+
+        // seconds into the track
+        time: function() {
+            return this.audio.currentTime || 0;
+        },
+
+        // The track's loudness right now, 0 to 1 (a full scale sine is 1).
+        // 0 before the first start() or without Web Audio.
+        loudness: function() {
+            var s = this, data, sum = 0, v;
+            if (!s.analyser) {
+                return 0;
+            }
+            data = new Uint8Array(s.analyser.fftSize);
+            s.analyser.getByteTimeDomainData(data);
+            for (var i = 0; i < data.length; i++) {
+                v = (data[i] - 128) / 128;
+                sum += v * v;
+            }
+            return Math.min(1, Math.sqrt(2 * sum / data.length));
+        },
+
+        // Works out the track's beat map (see Beats.analyze) in the
+        // background. Until it is there, or where it cannot be made, pulse()
+        // follows the loudness and beat() does not wait.
+        analyze: function(url) {
+            var s = this;
+            Beats.analyze(url).done(function(map) {
+                if (map.beats.length) {
+                    s.beats = map;
+                }
+            });
+        },
+
+        // index of the first beat after time t
+        next: function(t) {
+            var beats = this.beats.beats, lo = 0, hi = beats.length, mid;
+            while (lo < hi) {
+                mid = (lo + hi) >> 1;
+                if (beats[mid] <= t) {
+                    lo = mid + 1;
+                } else {
+                    hi = mid;
+                }
+            }
+            return lo;
+        },
+
+        // 0 to 1, a kick on every beat that dies away over a fraction of a
+        // second, or the loudness where there is no beat map. 0 while
+        // nothing plays.
+        pulse: function() {
+            var s = this, t, i;
+            if (!s.playing()) {
+                return 0;
+            }
+            if (!s.beats) {
+                return s.loudness();
+            }
+            t = s.time();
+            i = s.next(t) - 1;
+            return i < 0 ? 0 : Math.exp(-(t - s.beats.beats[i]) / DECAY);
+        },
+
+        // A Task that completes on the next beat, for a phase to $await.
+        // Completes at once where there is nothing to wait for: no beat map,
+        // the music not playing or past its last beat.
+        beat: function(ct) {
+            var s = this;
+            return Task.create(function(t) {
+                var at = s.beats && s.playing() ? s.beats.beats[s.next(s.time())] : undefined;
+                var check = function() {
+                    if (at === undefined || !s.playing() || s.time() >= at) {
+                        t.complete("success", s.time());
+                        return;
+                    }
+                    var task = Async.nextFrame(ct);
+                    task.addEventListener("complete", function() {
+                        if (task.status != "succeeded") {
+                            t.complete("failure", task.error);
+                        } else {
+                            check();
+                        }
+                    });
+                    task.start();
+                };
+                check();
+            });
+        },
+
+        change: function(fn) {
+            this.listeners.push(fn);
+        },
+        notify: function() {
+            for (var i = 0; i < this.listeners.length; i++) {
+                this.listeners[i](this);
+            }
+        }
+    }
+
+    window.Music = Music;
+
+})(window);
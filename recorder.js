@@ -0,0 +1,347 @@
+(function(window, $){
+
+    var Async = Jscex.Async;
+
+    // Records the card as it plays, seed to clock, for posting elsewhere: a
+    // WebM with the music through MediaRecorder where the browser has it,
+    // otherwise a silent animated GIF. The page's timeline is switched to
+    // fixed steps (Timeline.fix) for the length of the recording, so every
+    // frame is drawn at an exact time however slow the machine is, and each
+    // is composed here from the tree's canvas and the text laid over it.
+    //
+    // o.timeline, o.card, o.canvas (the tree's), o.width and o.height are
+    // required, o.tree() returns the current Tree, o.music is the card's
+    // Music.
+    Recorder = function(o) {
+        var s = this;
+        this.o = o;
+        this.busy = false;
+        this.listeners = [];
+
+        // typing starts when the text phase does, on the timeline's clock
+        this.textStart = null;
+        o.timeline.change(function(timeline) {
+            if (timeline.phase() == "text" && s.textStart === null) {
+                s.textStart = timeline.clock;
+            }
+        });
+    }
+
+    var HOLD = 3000;
+
+    function save(blob, name) {
+        var a = $("<a/>").attr({
+            href: URL.createObjectURL(blob),
+            download: name
+        }).appendTo("body");
+        a[0].click();
+        setTimeout(function() {
+            URL.revokeObjectURL(a.attr("href"));
+            a.remove();
+        }, 1000);
+    }
+
+    function pick(types) {
+        for (var i = 0; i < types.length; i++) {
+            if (MediaRecorder.isTypeSupported(types[i])) {
+                return types[i];
+            }
+        }
+        return "";
+    }
+
+    // the url inside a css background-image, or null
+    function cssUrl(value) {
+        var m = /url\(["']?([^"')]+)["']?\)/.exec(value || "");
+        return m ? m[1] : null;
+    }
+
+    function px(value) {
+        return parseFloat(value) || 0;
+    }
+
+    Recorder.prototype = {
+        canVideo: function() {
+            return !!(window.MediaRecorder && this.o.canvas.captureStream);
+        },
+
+        // format is "webm" or "gif", WebM falls back to GIF where it cannot
+        // be recorded. A recording already running is left alone.
+        start: function(format) {
+            var s = this, o = s.o;
+            if (s.busy) {
+                return;
+            }
+            if (format == "webm" && !s.canVideo()) {
+                format = "gif";
+            }
+            s.busy = true;
+            s.format = format;
+            s.notify();
+
+            // the gif is half size and 10 frames a second to stay postable
+            s.fps = format == "gif" ? 10 : 30;
+            s.scale = format == "gif" ? 0.5 : 1;
+            s.frame = o.canvas.ownerDocument.createElement("canvas");
+            s.frame.width = Math.round(o.width * s.scale);
+            s.frame.height = Math.round(o.height * s.scale);
+            s.ctx = s.frame.getContext("2d");
+            s.layout = s.measure();
+            s.wall = Date.now();
+            s.plan = $.typewriter.plan(Card.script(o.card));
+            s.total = s.length();
+            s.textStart = null;
+            s.first = null;
+
+            s.loadBackground(function() {
+                if (format == "gif") {
+                    s.gif = new GifEncoder(s.frame.width, s.frame.height);
+                } else {
+                    s.startVideo();
+                }
+                o.timeline.fix(1000 / s.fps, function(time) {
+                    return s.tick(time);
+                });
+                o.timeline.replay();
+            });
+        },
+
+        change: function(fn) {
+            this.listeners.push(fn);
+        },
+        notify: function() {
+            for (var i = 0; i < this.listeners.length; i++) {
+                this.listeners[i](this);
+            }
+        },
+
+        loadBackground: function(done) {
+            var s = this, src = cssUrl($("body").css("background-image")), img;
+            s.background = null;
+            if (!src) {
+                done();
+                return;
+            }
+            img = new Image();
+            img.onload = function() {
+                s.background = img;
+                done();
+            };
+            img.onerror = function() {
+                done();
+            };
+            img.src = src;
+        },
+
+        // Where the page puts the text, read from the stylesheet so the
+        // recording follows it.
+        measure: function() {
+            var text = $("#text"), code = $("#code"), box = $("#clock-box"),
+                message = $("#message-box"), clock = $("#clock"),
+                digit = $('<span class="digit"></span>').appendTo(clock), layout;
+            layout = {
+                code: {
+                    x: px(text.css("left")) + 5,
+                    y: px(text.css("top")) + px(code.css("margin-top")),
+                    width: text.width() - 5,
+                    lineHeight: px(code.css("line-height")) || 25,
+                    font: code.css("font-weight") + " " + code.css("font-size") + " " + code.css("font-family"),
+                    color: code.css("color")
+                },
+                clock: {
+                    x: px(box.css("left")),
+                    y: px(box.css("top")),
+                    indent: px(message.css("margin-left")),
+                    message: message.css("font-size") + " " + message.css("font-family"),
+                    messageSize: px(message.css("font-size")),
+                    font: clock.css("font-size") + " " + clock.css("font-family"),
+                    digit: digit.css("font-size") + " " + clock.css("font-family"),
+                    digitSize: px(digit.css("font-size")),
+                    color: box.css("color")
+                }
+            };
+            digit.remove();
+            return layout;
+        },
+
+        startVideo: function() {
+            var s = this, o = s.o, stream = s.frame.captureStream(0),
+                tracks = stream.getVideoTracks(), audio = s.audioStream(), type;
+            if (audio) {
+                tracks = tracks.concat(audio.getAudioTracks());
+            }
+            s.stream = new MediaStream(tracks);
+            s.track = stream.getVideoTracks()[0];
+            type = pick(["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus", "video/webm"]);
+            s.chunks = [];
+            s.media = new MediaRecorder(s.stream, type ? { mimeType: type } : undefined);
+            s.media.ondataavailable = function(e) {
+                if (e.data && e.data.size) {
+                    s.chunks.push(e.data);
+                }
+            };
+            s.media.onstop = function() {
+                save(new Blob(s.chunks, { type: "video/webm" }), "card.webm");
+                s.done();
+            };
+            s.media.start(1000);
+            if (o.music) {
+                o.music.rewind();
+                o.music.start();
+            }
+        },
+
+        // the music as a stream, it still plays to the speakers as well
+        audioStream: function() {
+            return this.o.music ? this.o.music.stream() : null;
+        },
+
+        // Length of the whole card: until the message is typed, the clock
+        // has faded in and a moment more.
+        length: function() {
+            var typing = $.typewriter.duration(this.plan);
+            return typing + (this.o.card.date ? 2000 : 0) + HOLD;
+        },
+
+        // Called by the timeline with the frame drawn at time: compose it,
+        // hand it to the encoder, and for video wait for its moment so the
+        // picture keeps time with the music.
+        tick: function(time) {
+            var s = this, wait = 0;
+            if (s.first === null) {
+                s.first = time;
+                s.started = Date.now();
+            }
+            s.compose(time);
+            if (s.gif) {
+                s.gif.addFrame(s.ctx.getImageData(0, 0, s.frame.width, s.frame.height).data, 1000 / s.fps);
+            } else {
+                s.track.requestFrame();
+                wait = Math.max(0, s.started + (time - s.first) + 1000 / s.fps - Date.now());
+            }
+            if (s.textStart !== null && time - s.textStart >= s.total) {
+                s.finish();
+            }
+            // a gif yields to the page between frames, that is all
+            return Async.sleep(wait);
+        },
+
+        finish: function() {
+            var s = this;
+            s.o.timeline.fix(null);
+            if (s.gif) {
+                save(s.gif.finish(), "card.gif");
+                s.gif = null;
+                s.done();
+            } else {
+                s.media.stop();
+            }
+        },
+
+        done: function() {
+            this.busy = false;
+            this.media = null;
+            this.stream = null;
+            this.notify();
+        },
+
+        compose: function(time) {
+            var s = this, o = s.o, ctx = s.ctx, bg = s.background, tree = o.tree(), scale;
+            ctx.setTransform(s.scale, 0, 0, s.scale, 0, 0);
+            ctx.fillStyle = "#000";
+            ctx.fillRect(0, 0, o.width, o.height);
+            if (bg) {
+                // like background-size: cover
+                scale = Math.max(o.width / bg.width, o.height / bg.height);
+                ctx.drawImage(bg, (o.width - bg.width * scale) / 2, (o.height - bg.height * scale) / 2,
+                    bg.width * scale, bg.height * scale);
+            }
+            tree.render();
+            ctx.drawImage(o.canvas, 0, 0, o.width, o.height);
+            if (s.textStart !== null) {
+                s.drawText(time - s.textStart);
+                if (o.card.date) {
+                    s.drawClock(time - s.textStart);
+                }
+            }
+        },
+
+        // the typewriter where it would be after elapsed ms
+        drawText: function(elapsed) {
+            var s = this, ctx = s.ctx, l = s.layout.code,
+                html = $.typewriter.at(s.plan, elapsed),
+                lines = html.split(/<br\s*\/?>/), row = 0;
+            ctx.save();
+            ctx.font = l.font;
+            ctx.fillStyle = l.color;
+            ctx.textBaseline = "middle";
+            for (var i = 0; i < lines.length; i++) {
+                var wrapped = s.wrap($("<div/>").html(lines[i]).text().replace(/^\s+/, ""), l.width);
+                for (var j = 0; j < wrapped.length; j++) {
+                    ctx.fillText(wrapped[j], l.x, l.y + (row + 0.5) * l.lineHeight);
+                    row++;
+                }
+            }
+            ctx.restore();
+        },
+
+        // text broken into lines no wider than width, at word breaks, a
+        // word too long for a line of its own between two characters
+        wrap: function(text, width) {
+            var ctx = this.ctx, words = text.split(" "), lines = [], line = "", chars;
+            for (var i = 0; i < words.length; i++) {
+                var next = line ? line + " " + words[i] : words[i];
+                if (line && ctx.measureText(next).width > width) {
+                    lines.push(line);
+                    line = words[i];
+                } else {
+                    line = next;
+                }
+                if (ctx.measureText(line).width > width) {
+                    chars = Graphemes.split(line);
+                    line = "";
+                    for (var j = 0; j < chars.length; j++) {
+                        if (line && ctx.measureText(line + chars[j]).width > width) {
+                            lines.push(line);
+                            line = "";
+                        }
+                        line += chars[j];
+                    }
+                }
+            }
+            if (line) {
+                lines.push(line);
+            }
+            return lines;
+        },
+
+        // the clock fading in over two seconds, reading the time it would
+        // show that far into the recording
+        drawClock: function(elapsed) {
+            var s = this, ctx = s.ctx, l = s.layout.clock,
+                clock = clockAt(s.o.card, s.wall + elapsed), d = clock.time,
+                x = l.x + l.indent, y = l.y + l.messageSize, base = y + l.digitSize,
+                pad = function(n) {
+                    return n < 10 ? "0" + n : "" + n;
+                },
+                parts = [["Days ", d.days], [" Hours ", pad(d.hours)], [" Minutes ", pad(d.minutes)], [" Seconds ", pad(d.seconds)]];
+            ctx.save();
+            ctx.globalAlpha = Math.min(1, elapsed / 2000);
+            ctx.fillStyle = l.color;
+            ctx.font = l.message;
+            ctx.fillText(clock.message, x, y);
+            for (var i = 0; i < parts.length; i++) {
+                ctx.font = l.font;
+                ctx.fillText(parts[i][0], x, base);
+                x += ctx.measureText(parts[i][0]).width;
+                ctx.font = l.digit;
+                ctx.fillText(parts[i][1], x, base);
+                x += ctx.measureText(parts[i][1]).width;
+            }
+            ctx.restore();
+        }
+    }
+
+    window.Recorder = Recorder;
+
+})(window, jQuery);
@@ -0,0 +1,319 @@
+(function(exports){
+
+    // The shapes a bloom can take. A figure is anything with a length and
+    // get(i, scale) -> {x, y}, the outline of the shape traced around (0, 0)
+    // with y pointing up and about 16 units from the middle to the edge,
+    // the size of the heart. A point with move set starts a new subpath,
+    // which is how a glyph gets its holes.
+    var shapes = {}, paths = {};
+
+    var Figure = function(points) {
+        this.points = points;
+        this.length = points.length;
+    }
+    Figure.prototype = {
+        get: function(i, scale) {
+            var q = this.points[i];
+            return { x: q.x * (scale || 1), y: q.y * (scale || 1), move: q.move };
+        }
+    }
+
+    // radius as a function of the angle, sampled n times around the circle
+    function polar(radius, n) {
+        var points = [], t;
+        for (var i = 0; i < n; i++) {
+            t = Math.PI / 2 + 2 * Math.PI * i / n;
+            points.push({ x: radius(t) * Math.cos(t), y: radius(t) * Math.sin(t) });
+        }
+        return new Figure(points);
+    }
+
+    // five round petals, each with a small notch at its tip
+    function sakura() {
+        var gap = 2 * Math.PI / 5;
+        return polar(function(t) {
+            var d = (t - Math.PI / 2) % gap, a = Math.min(d, gap - d);
+            return 16 * (0.4 + 0.6 * Math.sqrt(Math.cos(a * 2.5))) - 4 * Math.max(0, 1 - a / 0.12);
+        }, 120);
+    }
+
+    function star() {
+        var points = [], t, r;
+        for (var i = 0; i < 10; i++) {
+            t = Math.PI / 2 + Math.PI * i / 5;
+            r = i % 2 ? 6.5 : 16;
+            points.push({ x: r * Math.cos(t), y: r * Math.sin(t) });
+        }
+        return new Figure(points);
+    }
+
+    // an oval with a little knot at the bottom
+    function balloon() {
+        var points = [], t;
+        for (var i = 0; i <= 60; i++) {
+            t = -Math.PI / 2 + 0.15 + (2 * Math.PI - 0.3) * i / 60;
+            points.push({ x: 11 * Math.cos(t), y: 2 + 14 * Math.sin(t) });
+        }
+        points.push({ x: 2, y: -15 }, { x: -2, y: -15 });
+        return new Figure(points);
+    }
+
+    function leaf() {
+        var points = [], t;
+        for (var i = 0; i < 60; i++) {
+            t = 2 * Math.PI * i / 60;
+            points.push({ x: 8 * Math.sin(t) * Math.abs(Math.sin(t)), y: 16 * Math.cos(t) });
+        }
+        return new Figure(points);
+    }
+
+    function circle() {
+        return polar(function() {
+            return 12;
+        }, 40);
+    }
+
+    // -- SVG path data -----------------------------------------------------
+
+    function tokenize(d) {
+        var re = /([MmLlHhVvCcSsQqTtAaZz])|([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/g,
+            tokens = [], m;
+        while ((m = re.exec(d))) {
+            tokens.push(m[1] || parseFloat(m[2]));
+        }
+        return tokens;
+    }
+
+    function angle(ux, uy, vx, vy) {
+        return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    }
+
+    // Flattens path data into subpaths of points, curves and arcs become
+    // samples straight segments each.
+    function flatten(d, samples) {
+        var tokens = tokenize(d), subpaths = [], current = null,
+            i = 0, cmd = null, x = 0, y = 0, sx = 0, sy = 0,
+            ctrl = null, last = null;
+
+        function num() {
+            if (typeof tokens[i] !== "number") {
+                throw new Error("expected a number in path data at token " + i);
+            }
+            return tokens[i++];
+        }
+        function line(px, py) {
+            if (!current) {
+                current = [{ x: x, y: y }];
+                subpaths.push(current);
+            }
+            current.push({ x: px, y: py });
+            x = px;
+            y = py;
+        }
+        function cubic(x1, y1, x2, y2, ex, ey) {
+            var x0 = x, y0 = y, t, u;
+            for (var k = 1; k <= samples; k++) {
+                t = k / samples;
+                u = 1 - t;
+                line(u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * ex,
+                     u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * ey);
+            }
+        }
+        function quadratic(x1, y1, ex, ey) {
+            var x0 = x, y0 = y, t, u;
+            for (var k = 1; k <= samples; k++) {
+                t = k / samples;
+                u = 1 - t;
+                line(u * u * x0 + 2 * u * t * x1 + t * t * ex, u * u * y0 + 2 * u * t * y1 + t * t * ey);
+            }
+        }
+        // endpoint to center parameterization, SVG 1.1 appendix F.6
+        function arc(rx, ry, rotation, large, sweep, ex, ey) {
+            var phi = rotation * Math.PI / 180, cos = Math.cos(phi), sin = Math.sin(phi);
+            var dx = (x - ex) / 2, dy = (y - ey) / 2;
+            var x1 = cos * dx + sin * dy, y1 = -sin * dx + cos * dy;
+            rx = Math.abs(rx);
+            ry = Math.abs(ry);
+            if (!rx || !ry) {
+                line(ex, ey);
+                return;
+            }
+            var lambda = x1 * x1 / (rx * rx) + y1 * y1 / (ry * ry);
+            if (lambda > 1) {
+                rx *= Math.sqrt(lambda);
+                ry *= Math.sqrt(lambda);
+            }
+            var a = rx * rx * y1 * y1 + ry * ry * x1 * x1,
+                coef = (large != sweep ? 1 : -1) * Math.sqrt(Math.max(0, (rx * rx * ry * ry - a) / a));
+            var cx1 = coef * rx * y1 / ry, cy1 = -coef * ry * x1 / rx;
+            var cx = cos * cx1 - sin * cy1 + (x + ex) / 2, cy = sin * cx1 + cos * cy1 + (y + ey) / 2;
+            var start = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry),
+                delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+            if (!sweep && delta > 0) {
+                delta -= 2 * Math.PI;
+            } else if (sweep && delta < 0) {
+                delta += 2 * Math.PI;
+            }
+            var n = samples * Math.ceil(Math.abs(delta) / (Math.PI / 2)), t;
+            for (var k = 1; k <= n; k++) {
+                t = start + delta * k / n;
+                line(cos * rx * Math.cos(t) - sin * ry * Math.sin(t) + cx,
+                     sin * rx * Math.cos(t) + cos * ry * Math.sin(t) + cy);
+            }
+        }
+
+        while (i < tokens.length) {
+            if (typeof tokens[i] === "string") {
+                cmd = tokens[i++];
+            } else if (!cmd) {
+                throw new Error("expected a command in path data at token " + i);
+            }
+            var rel = cmd === cmd.toLowerCase(), ox = rel ? x : 0, oy = rel ? y : 0,
+                type = cmd.toUpperCase(), x1, y1, x2, y2;
+
+            switch (type) {
+            case "M":
+                x = num() + ox;
+                y = num() + oy;
+                sx = x;
+                sy = y;
+                current = null;
+                // more pairs after a moveto are linetos
+                cmd = rel ? "l" : "L";
+                break;
+            case "L":
+                line(num() + ox, num() + oy);
+                break;
+            case "H":
+                line(num() + ox, y);
+                break;
+            case "V":
+                line(x, num() + oy);
+                break;
+            case "C":
+                x1 = num() + ox; y1 = num() + oy;
+                x2 = num() + ox; y2 = num() + oy;
+                cubic(x1, y1, x2, y2, num() + ox, num() + oy);
+                ctrl = { x: x2, y: y2 };
+                break;
+            case "S":
+                x1 = last == "C" || last == "S" ? 2 * x - ctrl.x : x;
+                y1 = last == "C" || last == "S" ? 2 * y - ctrl.y : y;
+                x2 = num() + ox; y2 = num() + oy;
+                cubic(x1, y1, x2, y2, num() + ox, num() + oy);
+                ctrl = { x: x2, y: y2 };
+                break;
+            case "Q":
+                x1 = num() + ox; y1 = num() + oy;
+                quadratic(x1, y1, num() + ox, num() + oy);
+                ctrl = { x: x1, y: y1 };
+                break;
+            case "T":
+                x1 = last == "Q" || last == "T" ? 2 * x - ctrl.x : x;
+                y1 = last == "Q" || last == "T" ? 2 * y - ctrl.y : y;
+                quadratic(x1, y1, num() + ox, num() + oy);
+                ctrl = { x: x1, y: y1 };
+                break;
+            case "A":
+                x1 = num(); y1 = num(); x2 = num();
+                y2 = num();
+                arc(x1, y1, x2, y2, num(), num() + ox, num() + oy);
+                break;
+            case "Z":
+                if (current && (x != sx || y != sy)) {
+                    line(sx, sy);
+                }
+                x = sx;
+                y = sy;
+                current = null;
+                // numbers straight after a closepath are an error
+                cmd = null;
+                break;
+            }
+            last = type;
+        }
+        return subpaths;
+    }
+
+    // A figure from SVG path data, e.g. a glyph exported from a font. The
+    // drawing is centred and scaled to the size of the heart, and turned
+    // the right way up (SVG's y points down).
+    function path(d, samples) {
+        var subpaths = flatten(d, samples || 8), points = [],
+            minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity, p, i, j;
+        for (i = 0; i < subpaths.length; i++) {
+            for (j = 0; j < subpaths[i].length; j++) {
+                p = subpaths[i][j];
+                minX = Math.min(minX, p.x);
+                maxX = Math.max(maxX, p.x);
+                minY = Math.min(minY, p.y);
+                maxY = Math.max(maxY, p.y);
+            }
+        }
+        if (minX === Infinity) {
+            throw new Error("path data draws nothing");
+        }
+        var cx = (minX + maxX) / 2, cy = (minY + maxY) / 2,
+            scale = 16 / (Math.max(maxX - minX, maxY - minY) / 2 || 1);
+        for (i = 0; i < subpaths.length; i++) {
+            for (j = 0; j < subpaths[i].length; j++) {
+                p = subpaths[i][j];
+                points.push({ x: (p.x - cx) * scale, y: (cy - p.y) * scale, move: j === 0 });
+            }
+        }
+        return new Figure(points);
+    }
+
+    function isPath(name) {
+        return /^\s*[Mm]/.test(name);
+    }
+
+    function register(name, figure) {
+        shapes[name] = figure;
+    }
+
+    // A registered shape by name, or SVG path data turned into a figure
+    // (and remembered). null for anything else.
+    function get(name) {
+        if (shapes.hasOwnProperty(name)) {
+            return shapes[name];
+        }
+        if (!isPath(name)) {
+            return null;
+        }
+        if (!paths.hasOwnProperty(name)) {
+            try {
+                paths[name] = path(name);
+            } catch (e) {
+                paths[name] = null;
+            }
+        }
+        return paths[name];
+    }
+
+    function names() {
+        var out = [];
+        for (var k in shapes) {
+            if (shapes.hasOwnProperty(k)) {
+                out.push(k);
+            }
+        }
+        return out;
+    }
+
+    register("sakura", sakura());
+    register("star", star());
+    register("balloon", balloon());
+    register("leaf", leaf());
+    register("circle", circle());
+
+    exports.Figure = Figure;
+    exports.Shapes = {
+        register: register,
+        get: get,
+        names: names,
+        isPath: isPath,
+        path: path
+    };
+
+})(typeof module !== "undefined" && module.exports ? module.exports : window);
@@ -0,0 +1,102 @@
+// node test/duration.test.js
+var assert = require("assert");
+var test = require("./test.js");
+var Duration = require("../duration.js").Duration;
+
+var NY = "America/New_York";
+var HOUR = 3600000;
+
+function at(year, month, day, hour, minute) {
+    return { year: year, month: month, day: day, hour: hour || 0, minute: minute || 0, second: 0, millisecond: 0 };
+}
+
+// Feb 29 birthdays, celebrated on Feb 28 in common years
+
+test("a Feb 29 birthday comes round on Feb 28 in a common year", function() {
+    assert.strictEqual(Duration.nextOccurrence("2000-02-29", Date.UTC(2023, 0, 1), "UTC"), Date.UTC(2023, 1, 28));
+});
+
+test("a Feb 29 birthday comes round on Feb 29 in a leap year", function() {
+    assert.strictEqual(Duration.nextOccurrence("2000-02-29", Date.UTC(2024, 0, 1), "UTC"), Date.UTC(2024, 1, 29));
+});
+
+test("the day after a Feb 28 celebration waits for the next year", function() {
+    assert.strictEqual(Duration.nextOccurrence("2000-02-29", Date.UTC(2023, 2, 1), "UTC"), Date.UTC(2024, 1, 29));
+});
+
+test("isBirthday on Feb 28 only in common years", function() {
+    assert.strictEqual(Duration.isBirthday("2000-02-29", Date.UTC(2023, 1, 28, 12), "UTC"), true);
+    assert.strictEqual(Duration.isBirthday("2000-02-29", Date.UTC(2024, 1, 28, 12), "UTC"), false);
+    assert.strictEqual(Duration.isBirthday("2000-02-29", Date.UTC(2024, 1, 29, 12), "UTC"), true);
+    assert.strictEqual(Duration.isBirthday("2000-02-29", Date.UTC(2023, 2, 1, 12), "UTC"), false);
+});
+
+test("a Feb 29 birthday is in the recipient's time zone", function() {
+    // midnight Feb 28 2023 in New York is 05:00 UTC
+    assert.strictEqual(Duration.nextOccurrence("2000-02-29", Date.UTC(2023, 0, 1), NY), Date.UTC(2023, 1, 28, 5));
+});
+
+test("Feb 29 to Feb 28 of a common year is a whole year", function() {
+    var d = Duration.between(Duration.parse("2000-02-29", "UTC"), Duration.parse("2001-02-28", "UTC"), "UTC");
+    assert.strictEqual(d.years, 1);
+    assert.strictEqual(d.months, 0);
+    assert.strictEqual(d.days, 0);
+});
+
+// DST in New York: 2024-03-10 02:00 jumps to 03:00, 2024-11-03 02:00 falls
+// back to 01:00
+
+test("between() counts the spring-forward day as one day of 23 hours", function() {
+    var d = Duration.between(Duration.instant(at(2024, 3, 9, 12), NY), Duration.instant(at(2024, 3, 10, 12), NY), NY);
+    assert.strictEqual(d.days, 1);
+    assert.strictEqual(d.hours, 0);
+    assert.strictEqual(d.total, 23 * HOUR);
+});
+
+test("between() counts the fall-back day as one day of 25 hours", function() {
+    var d = Duration.between(Duration.instant(at(2024, 11, 2, 12), NY), Duration.instant(at(2024, 11, 3, 12), NY), NY);
+    assert.strictEqual(d.days, 1);
+    assert.strictEqual(d.hours, 0);
+    assert.strictEqual(d.total, 25 * HOUR);
+});
+
+test("between() within a DST day counts the hours that really passed", function() {
+    var spring = Duration.between(Duration.instant(at(2024, 3, 10), NY), Duration.instant(at(2024, 3, 10, 12), NY), NY),
+        fall = Duration.between(Duration.instant(at(2024, 11, 3), NY), Duration.instant(at(2024, 11, 3, 12), NY), NY);
+    assert.strictEqual(spring.days, 0);
+    assert.strictEqual(spring.hours, 11);
+    assert.strictEqual(fall.days, 0);
+    assert.strictEqual(fall.hours, 13);
+});
+
+test("between() from inside the repeated hour counts from that instant", function() {
+    var second = Duration.between(Date.UTC(2023, 10, 5, 6, 30), Date.UTC(2023, 10, 5, 6, 30, 1), NY),
+        across = Duration.between(Date.UTC(2023, 10, 5, 5, 30), Date.UTC(2023, 10, 5, 6, 30), NY),
+        nextDay = Duration.between(Date.UTC(2023, 10, 5, 6, 30), Date.UTC(2023, 10, 6, 5, 45), NY);
+    assert.deepStrictEqual([second.days, second.hours, second.minutes, second.seconds], [0, 0, 0, 1]);
+    assert.deepStrictEqual([across.days, across.hours, across.minutes, across.seconds], [0, 1, 0, 0]);
+    assert.deepStrictEqual([nextDay.days, nextDay.hours, nextDay.minutes], [0, 23, 15]);
+});
+
+test("between() backwards across a DST change has the sign flipped", function() {
+    var d = Duration.between(Duration.instant(at(2024, 3, 10, 12), NY), Duration.instant(at(2024, 3, 9, 12), NY), NY);
+    assert.strictEqual(d.sign, -1);
+    assert.strictEqual(d.days, 1);
+    assert.strictEqual(d.total, -23 * HOUR);
+});
+
+test("instant() of a skipped hour lands after the jump", function() {
+    // 02:30 does not exist, 03:30 EDT is 07:30 UTC
+    assert.strictEqual(Duration.instant(at(2024, 3, 10, 2, 30), NY), Date.UTC(2024, 2, 10, 7, 30));
+});
+
+test("instant() of a repeated hour picks the earlier one", function() {
+    // 01:30 EDT is 05:30 UTC, 01:30 EST an hour later
+    assert.strictEqual(Duration.instant(at(2024, 11, 3, 1, 30), NY), Date.UTC(2024, 10, 3, 5, 30));
+});
+
+test("instant() either side of the changes is unambiguous", function() {
+    assert.strictEqual(Duration.instant(at(2024, 3, 10, 1, 59), NY), Date.UTC(2024, 2, 10, 6, 59));
+    assert.strictEqual(Duration.instant(at(2024, 3, 10, 3), NY), Date.UTC(2024, 2, 10, 7));
+    assert.strictEqual(Duration.instant(at(2024, 11, 3, 2), NY), Date.UTC(2024, 10, 3, 7));
+});
@@ -0,0 +1,46 @@
+// node test/graphemes.test.js
+var assert = require("assert");
+var test = require("./test.js");
+
+var PATH = require.resolve("../graphemes.js");
+
+// graphemes.js picks Intl.Segmenter once as it loads, so it is loaded a
+// second time with Intl.Segmenter hidden to get the pattern fallback.
+function load(segmenter) {
+    var saved = Intl.Segmenter, Graphemes;
+    delete require.cache[PATH];
+    if (!segmenter) {
+        Intl.Segmenter = undefined;
+    }
+    try {
+        Graphemes = require(PATH).Graphemes;
+    } finally {
+        Intl.Segmenter = saved;
+        delete require.cache[PATH];
+    }
+    return Graphemes;
+}
+
+var cases = [
+    ["regional indicator pairs are flags", "🇬🇧🇯🇵", ["🇬🇧", "🇯🇵"]],
+    ["an odd regional indicator stands alone", "🇬🇧🇯", ["🇬🇧", "🇯"]],
+    ["a flag next to text", "hi🇫🇷!", ["h", "i", "🇫🇷", "!"]],
+    ["emoji with skin tones", "👍🏽👋🏿", ["👍🏽", "👋🏿"]],
+    ["a ZWJ family", "👨‍👩‍👧‍👦", ["👨‍👩‍👧‍👦"]],
+    ["a ZWJ family with skin tones", "👩🏽‍❤️‍👨🏻x", ["👩🏽‍❤️‍👨🏻", "x"]],
+    ["a letter and a combining mark", "e\u0301te\u0301", ["e\u0301", "t", "e\u0301"]],
+    ["a letter and two combining marks", "a\u0323\u0308b", ["a\u0323\u0308", "b"]],
+    ["a variation selector", "❤️!", ["❤️", "!"]],
+    ["a keycap", "1️⃣2", ["1️⃣", "2"]],
+    ["plain text", "ab", ["a", "b"]],
+    ["the empty string", "", []]
+];
+
+[["Intl.Segmenter", true], ["the fallback pattern", false]].forEach(function(mode) {
+    var Graphemes = load(mode[1]);
+    cases.forEach(function(c) {
+        test(mode[0] + ": " + c[0], function() {
+            assert.deepStrictEqual(Graphemes.split(c[1]), c[2]);
+        });
+    });
+});
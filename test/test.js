@@ -0,0 +1,12 @@
+// A tiny runner for the Node tests: node test/<name>.test.js prints a line
+// per test and exits non-zero if any failed.
+module.exports = function test(name, fn) {
+    try {
+        fn();
+        console.log("ok - " + name);
+    } catch (e) {
+        console.log("not ok - " + name);
+        console.log(e.stack);
+        process.exitCode = 1;
+    }
+};
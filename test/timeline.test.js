@@ -0,0 +1,80 @@
+// node test/timeline.test.js
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+var test = require("./test.js");
+
+// timeline.js is a page script over window and Jscex, so it runs in a
+// context of its own with the Jscex scripts the card loads before it.
+var FILES = ["jscex.min.js", "jscex-parser.js", "jscex-jit.js", "jscex-builderbase.min.js",
+    "jscex-async.min.js", "jscex-async-frame.js", "timeline.js"];
+
+function load() {
+    var window = { setTimeout: setTimeout, clearTimeout: clearTimeout };
+    window.window = window;
+    vm.createContext(window);
+    FILES.forEach(function(file) {
+        var name = path.join(__dirname, "..", file);
+        vm.runInContext(fs.readFileSync(name, "utf8"), window, { filename: name });
+    });
+    return window;
+}
+
+var window = load(), Jscex = window.Jscex, Async = Jscex.Async;
+
+// A card whose first phase loops on frames under a token of its own, the
+// way the typewriter does, and whose reset stops that loop.
+function card() {
+    var s = {};
+    var loop = vm.runInContext("(" + Jscex.compile("async", function(timeline, n, ct) {
+        for (var i = 0; i < n; i++) {
+            $await(timeline.frame(ct));
+        }
+    }) + ")", window);
+    s.timeline = new window.Timeline([{
+        name: "type",
+        run: function(ct) {
+            s.token = new Async.CancellationToken();
+            return loop(s.timeline, 3, s.token);
+        }
+    }, {
+        name: "wait",
+        run: function(ct) {
+            return s.timeline.sleep(60000, ct);
+        }
+    }], function() {
+        s.token.cancel();
+    });
+    return s;
+}
+
+test("replay after a skip stops the skipped phase's loop", function() {
+    var s = card();
+    s.timeline.seek("wait");
+    assert.strictEqual(s.timeline.phase(), "wait");
+    assert.doesNotThrow(function() {
+        s.timeline.replay();
+    });
+    assert.strictEqual(s.timeline.state, "running");
+    assert.strictEqual(s.timeline.phase(), "type");
+    s.timeline.token.cancel();
+});
+
+test("replay after a recording stops the recorded phase's loop", function() {
+    var s = card(), done = function() {
+        return Async.Task.create(function(t) {
+            t.complete("success");
+        });
+    };
+    s.timeline.fix(40, done);
+    s.timeline.seek(0);
+    assert.strictEqual(s.timeline.phase(), "wait");
+    s.timeline.token.cancel();
+    s.timeline.fix(null);
+    assert.doesNotThrow(function() {
+        s.timeline.replay();
+    });
+    assert.strictEqual(s.timeline.phase(), "type");
+    s.timeline.token.cancel();
+});
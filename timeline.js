@@ -0,0 +1,234 @@
+(function(window){
+
+    var Async = Jscex.Async, Task = Async.Task, CanceledError = Async.CanceledError;
+
+    // Frames handed out while seeking are this far apart, a skipped phase
+    // finishes in a handful of synchronous steps.
+    var SKIP = 1000;
+
+    var noop = function() {};
+
+    // Jscex's cancel() throws on a token nobody ever registered with. A
+    // frame that completes without waiting registers nothing, so a loop
+    // fed only skipped or recorded frames would leave its own token like
+    // that and whoever stops it later would throw.
+    function hold(ct) {
+        if (ct) {
+            ct.register(noop);
+            ct.unregister(noop);
+        }
+    }
+
+    var now = window.performance && performance.now ? function() {
+        return performance.now();
+    } : function() {
+        return +new Date();
+    };
+
+    // Runs the card's phases one after another. Each phase is
+    // function(ct) -> Task and must take its frames from timeline.frame(ct)
+    // and its pauses from timeline.sleep(ms, ct): that is what lets the
+    // timeline pause it, and fast-forward through it when seeking past.
+    // reset() is called before a replay or seek to put the scene back.
+    Timeline = function(phases, reset) {
+        this.phases = phases;
+        this.reset = reset;
+        this.index = -1;
+        this.state = "ready";
+        this.paused = false;
+        this.skipping = false;
+        this.offset = 0;
+        this.clock = 0;
+        this.fixed = null;
+        this.listeners = [];
+    }
+
+    var runAsync = eval(Jscex.compile("async", function (s, from, ct) {
+        for (var i = 0; i < s.phases.length; i++) {
+            s.index = i;
+            s.skipping = i < from;
+            s.notify();
+            $await(s.phases[i].run(ct));
+        }
+        s.skipping = false;
+        s.state = "done";
+        s.notify();
+    }));
+
+    Timeline.prototype = {
+        // Starts from the first phase, fast-forwarding up to the one named
+        // (or numbered) from.
+        play: function(from) {
+            var s = this, index = s.find(from), task;
+            if (s.token) {
+                s.token.cancel();
+            }
+            s.token = new Async.CancellationToken();
+            // Jscex's cancel() throws on a token nobody registered with,
+            // which is the case after a seek fast-forwarded everything
+            s.token.register(function() {
+                s.state = "canceled";
+            });
+            s.state = "running";
+            s.paused = false;
+            task = runAsync(s, index, s.token);
+            task.addEventListener("complete", function() {
+                if (task.status == "faulted") {
+                    Jscex.logger.error("[timeline] " + task.error);
+                }
+            });
+            task.start();
+        },
+        seek: function(phase) {
+            if (this.token) {
+                this.token.cancel();
+            }
+            if (this.state != "ready") {
+                this.reset();
+            }
+            this.play(phase);
+        },
+        replay: function() {
+            this.seek(0);
+        },
+        pause: function() {
+            if (this.state != "running" || this.paused) {
+                return;
+            }
+            this.paused = true;
+            this.pausedAt = now();
+            this.notify();
+        },
+        resume: function() {
+            if (!this.paused) {
+                return;
+            }
+            this.paused = false;
+            this.offset += now() - this.pausedAt;
+            this.notify();
+        },
+        toggle: function() {
+            if (this.paused) {
+                this.resume();
+            } else {
+                this.pause();
+            }
+        },
+        find: function(phase) {
+            if (typeof phase === "number") {
+                return Math.max(0, Math.min(phase, this.phases.length - 1));
+            }
+            for (var i = 0; i < this.phases.length; i++) {
+                if (this.phases[i].name === phase) {
+                    return i;
+                }
+            }
+            return 0;
+        },
+        // Frames exactly ms apart for recording, whatever the screen does.
+        // Before each frame is handed out tick(time) -> Task is awaited with
+        // the time of the one just drawn, that is where it gets captured.
+        // fix(null) goes back to the screen's frames, carrying on from the
+        // recorded time.
+        fix: function(ms, tick) {
+            if (!ms && this.fixed) {
+                this.offset = now() - this.clock;
+            }
+            this.fixed = ms ? { step: ms, tick: tick } : null;
+        },
+        phase: function() {
+            return this.phases[this.index] ? this.phases[this.index].name : null;
+        },
+        change: function(fn) {
+            this.listeners.push(fn);
+        },
+        notify: function() {
+            for (var i = 0; i < this.listeners.length; i++) {
+                this.listeners[i](this);
+            }
+        },
+
+        // Completes with a timestamp on the next frame that is not paused.
+        // Paused time is left out of the timestamps, so an animation simply
+        // carries on where it stopped.
+        frame: function(ct) {
+            var s = this;
+            if (s.skipping) {
+                return Task.create(function(t) {
+                    if (ct && ct.isCancellationRequested) {
+                        t.complete("failure", new CanceledError());
+                        return;
+                    }
+                    hold(ct);
+                    s.clock += SKIP;
+                    t.complete("success", s.clock);
+                });
+            }
+            if (s.fixed) {
+                return Task.create(function(t) {
+                    var fixed = s.fixed, task = fixed.tick(s.clock);
+                    hold(ct);
+                    task.addEventListener("complete", function() {
+                        if (task.status != "succeeded") {
+                            t.complete("failure", task.error);
+                        } else if (ct && ct.isCancellationRequested) {
+                            t.complete("failure", new CanceledError());
+                        } else {
+                            // unless tick just went back to real time
+                            if (s.fixed === fixed) {
+                                s.clock += fixed.step;
+                            }
+                            t.complete("success", s.clock);
+                        }
+                    });
+                    task.start();
+                });
+            }
+            return Task.create(function(t) {
+                var next = function() {
+                    var task = Async.nextFrame(ct);
+                    task.addEventListener("complete", function() {
+                        if (task.status != "succeeded") {
+                            t.complete("failure", task.error);
+                        } else if (s.paused) {
+                            next();
+                        } else {
+                            s.clock = task.result - s.offset;
+                            t.complete("success", s.clock);
+                        }
+                    });
+                    task.start();
+                };
+                next();
+            });
+        },
+        sleep: function(ms, ct) {
+            var s = this;
+            return Task.create(function(t) {
+                var start = null;
+                var next = function() {
+                    var task = s.frame(ct);
+                    task.addEventListener("complete", function() {
+                        if (task.status != "succeeded") {
+                            t.complete("failure", task.error);
+                            return;
+                        }
+                        if (start === null) {
+                            start = task.result;
+                        }
+                        if (task.result - start >= ms || s.skipping) {
+                            t.complete("success");
+                        } else {
+                            next();
+                        }
+                    });
+                    task.start();
+                };
+                next();
+            });
+        }
+    }
+
+    window.Timeline = Timeline;
+
+})(window);
@@ -0,0 +1,66 @@
+(function(window, $){
+
+    // Fits the fixed-size card (#wrap: the canvas plus the text laid over
+    // it) into its container. Everything inside keeps drawing in logical
+    // coordinates, width x height, the viewport only scales the whole box and
+    // maps pointer positions back into that space.
+    Viewport = function(wrap, container, width, height) {
+        var s = this;
+        this.wrap = $(wrap);
+        this.container = container ? $(container) : $(window);
+        this.width = width;
+        this.height = height;
+        this.scale = 1;
+        this.listeners = [];
+
+        this.fit();
+        $(window).resize(function() {
+            s.fit();
+        });
+    }
+    Viewport.prototype = {
+        fit: function() {
+            var wrap = this.wrap, width = this.width, height = this.height;
+            var top = parseInt(wrap.css("margin-top"), 10) || 0;
+            var scale = Math.min(this.container.width() / width, (this.container.height() - top) / height);
+
+            // a transform does not change the box the page lays out, the
+            // margins shrink (or grow) it to the scaled size
+            wrap.css({
+                transform: "scale(" + scale + ")",
+                transformOrigin: "0 0",
+                marginLeft: Math.max(0, (this.container.width() - width * scale) / 2),
+                marginRight: width * (scale - 1),
+                marginBottom: height * (scale - 1)
+            });
+
+            if (scale != this.scale) {
+                this.scale = scale;
+                for (var i = 0; i < this.listeners.length; i++) {
+                    this.listeners[i](this);
+                }
+            }
+        },
+        change: function(fn) {
+            this.listeners.push(fn);
+        },
+        // device pixels per logical unit
+        ratio: function() {
+            return this.scale * (window.devicePixelRatio || 1);
+        },
+        // Mouse, touch or pointer event -> logical coordinates relative to
+        // el. Measured against the box el takes on screen, transform and
+        // all, so it holds however the page is scrolled or zoomed.
+        point: function(e, el) {
+            var ev = e.originalEvent || e, node = $(el)[0], rect = node.getBoundingClientRect(),
+                scale = rect.width && node.offsetWidth ? rect.width / node.offsetWidth : this.scale;
+            if (ev.changedTouches && ev.changedTouches.length) {
+                ev = ev.changedTouches[0];
+            }
+            return new Point((ev.clientX - rect.left) / scale, (ev.clientY - rect.top) / scale);
+        }
+    }
+
+    window.Viewport = Viewport;
+
+})(window, jQuery);